@@ -8,5 +8,16 @@ const parserCode = peggy.generate(grammar, {
   format: "es" // ✅ Peggy supports this!
 });
 
+// Error recovery (recordError in the grammar) uses internals of the generated parser that
+// Peggy does not document, which is why package.json pins its exact version. Check they are
+// still there before replacing the parser, so an upgrade cannot silently break recovery.
+const recoveryInternals = ["peg$maxFailPos", "peg$maxFailExpected", "peg$buildStructuredError", "peg$computeLocation", "peg$getUnicode"];
+const defines = name => new RegExp(`(function|let|var) ${name.replace("$", "\\$")}\\b`).test(parserCode);
+const missing = recoveryInternals.filter(name => !defines(name));
+if (missing.length) {
+  console.error(`❌ The generated parser no longer defines ${missing.join(", ")}, which error recovery in compiler/uix.pegjs relies on`);
+  process.exit(1);
+}
+
 fs.writeFileSync("compiler/parser.js", parserCode);
 console.log("✅ Parser built as ESM: compiler/parser.js");
@@ -1,344 +1,153 @@
-// UIX Compiler with Integrated Props Validation System
+// UIX Compiler: file-based driver around the in-memory pipeline in compile.js
 import fs from "fs";
-import * as parser from "./parser.js";
-
-// Import the validation system
-import { UIXSchema, UIXValidator, UIXComponentValidator, UIXValidationError } from './uix-validation.js';
-
-const code = fs.readFileSync("uix/example.uix", "utf-8");
-const tagMap = {
-  // App is now a special top-level construct, not a generic div
-  Title: "h1",
-  Row: "div",
-  Button: "button",
-  Input: "input",
-  Text: "span"
-};
-
-// Built-in component validation schemas
-const builtInValidationSchemas = {
-  Title: {
-    text: UIXSchema.string({ required: true }),
-    className: UIXSchema.optional(UIXSchema.string()),
-    id: UIXSchema.optional(UIXSchema.string())
-  },
-  Row: {
-    className: UIXSchema.optional(UIXSchema.string()),
-    style: UIXSchema.optional(UIXSchema.string()),
-    onClick: UIXSchema.optional(UIXSchema.function())
-  },
-  Button: {
-    text: UIXSchema.string({ required: true }),
-    onClick: UIXSchema.function({ required: true }),
-    disabled: UIXSchema.optional(UIXSchema.boolean(), false),
-    type: UIXSchema.optional(UIXSchema.enum(['button', 'submit', 'reset']), 'button'),
-    className: UIXSchema.optional(UIXSchema.string()),
-    variant: UIXSchema.optional(UIXSchema.enum(['primary', 'secondary', 'danger', 'success']), 'primary')
-  },
-  Input: {
-    bind: UIXSchema.optional(UIXSchema.string()),
-    initial: UIXSchema.optional(UIXSchema.union([UIXSchema.string(), UIXSchema.number()])),
-    type: UIXSchema.optional(UIXSchema.enum(['text', 'email', 'password', 'number', 'tel', 'url']), 'text'),
-    placeholder: UIXSchema.optional(UIXSchema.string()),
-    required: UIXSchema.optional(UIXSchema.boolean(), false),
-    disabled: UIXSchema.optional(UIXSchema.boolean(), false),
-    minLength: UIXSchema.optional(UIXSchema.number({ min: 0 })),
-    maxLength: UIXSchema.optional(UIXSchema.number({ min: 1 })),
-    pattern: UIXSchema.optional(UIXSchema.string())
-  },
-  Text: {
-    text: UIXSchema.string({ required: true }),
-    className: UIXSchema.optional(UIXSchema.string()),
-    style: UIXSchema.optional(UIXSchema.string())
+import path from "path";
+import { pathToFileURL } from "url";
+
+import { UIXSourceCompiler, UIXCompilerConfig, UIXPluginManager, UIXCompilationError } from "./compile.js";
+
+export { UIXCompilerConfig, UIXPluginManager, UIXCompilationError };
+
+// Directory under the output directory that the modules of imported files are written to
+const GENERATED_DIR = "uix-generated";
+
+/**
+ * Load compiler options from a config file such as uix.config.js, whose default export is
+ * an options object (or a function returning one). Entries of its `plugins` list may be
+ * plugin objects, module paths or `[modulePath, pluginOptions]` pairs; a module's default
+ * export is the plugin, or a factory called with the plugin options. Relative module paths
+ * resolve against the config file.
+ */
+export async function loadConfigFile(configFile) {
+  const configPath = path.resolve(configFile);
+  const exported = (await import(pathToFileURL(configPath).href)).default;
+  const options = typeof exported === 'function' ? await exported() : exported || {};
+
+  const plugins = [];
+  for (const entry of options.plugins || []) {
+    if (typeof entry !== 'string' && !Array.isArray(entry)) {
+      plugins.push(entry);
+      continue;
+    }
+    const [specifier, pluginOptions = {}] = Array.isArray(entry) ? entry : [entry];
+    const url = specifier.startsWith(".") ? pathToFileURL(path.resolve(path.dirname(configPath), specifier)).href : specifier;
+    const plugin = (await import(url)).default;
+    if (!plugin) {
+      throw new Error(`Plugin module '${specifier}' has no default export`);
+    }
+    plugins.push(typeof plugin === 'function' ? await plugin(pluginOptions) : plugin);
   }
-};
-
-// Component validation registry
-const componentValidators = new Map();
-
-// Register built-in component validators
-Object.entries(builtInValidationSchemas).forEach(([componentName, schema]) => {
-  componentValidators.set(componentName, new UIXComponentValidator(componentName, schema));
-});
-
-const parsedAst = parser.parse(code);
-
-// Tracking
-const usedIdentifiers = new Set();
-const bindCandidates = new Map();
-const componentParameters = new Set();
-
-// Custom component definitions with validation
-const customComponentDefinitions = new Map();
-
-function capitalize(str) {
-  const actualStr = (typeof str === "object" && str !== null && str.value !== undefined) ? str.value : str;
-  return typeof actualStr === "string" ? actualStr.charAt(0).toUpperCase() + actualStr.slice(1) : "";
+  return { ...options, plugins };
 }
 
-function extractIdentifiers(value) {
-  if (typeof value === "object" && value !== null) {
-    if (value.type === 'expression' || value.type === 'identifier') {
-      const parts = value.value.split(/[\. \( \+]/)[0];
-      if (parts && /^[a-zA-Z_$][a-zA-Z0-9_]*$/.test(parts)) {
-        usedIdentifiers.add(parts);
+/**
+ * Compiles a .uix file and the .uix files it imports, writing one generated module per
+ * file (and docs, if enabled) to the output directory. The entry file becomes
+ * CompiledUI.jsx; imported files go to its uix-generated directory, so they cannot
+ * overwrite the hand-written modules next to CompiledUI.jsx. There they keep their path
+ * relative to the directory that holds all the files, so imports from outside the entry's
+ * directory stay inside the output.
+ */
+export class UIXCompiler extends UIXSourceCompiler {
+  async compile(inputFile) {
+    const extension = this.config.enableTypeScript ? "tsx" : "jsx";
+    const outputFileFor = (file, files) => {
+      if (path.resolve(file) === path.resolve(inputFile)) {
+        return path.join(this.config.outputDir, `CompiledUI.${extension}`);
       }
-    } else if (value.type === 'string' || value.type === 'number') {
-      return;
+      const root = commonDirectory(files.map(other => path.dirname(path.resolve(other))));
+      return path.join(this.config.outputDir, GENERATED_DIR, path.relative(root, path.resolve(file)).replace(/\.uix$/, `.${extension}`));
+    };
+
+    // Relative imports are written relative to the .uix file, so they have to be rebased
+    // onto the generated module: .uix imports onto the module generated for the imported
+    // file, JavaScript imports onto the file itself. Package imports resolve the same anywhere
+    const rewriteImport = (specifier, file, files) => {
+      if (!specifier.startsWith(".")) return specifier;
+      const target = specifier.endsWith(".uix")
+        ? outputFileFor(path.join(path.dirname(file), specifier), files).replace(/\.[jt]sx$/, "")
+        : path.join(path.dirname(file), specifier);
+      const relative = path.relative(path.dirname(outputFileFor(file, files)), target).split(path.sep).join("/");
+      return relative.startsWith(".") ? relative : `./${relative}`;
+    };
+
+    // Source maps sit next to the generated module, so they name the .uix file relative to it
+    const sourceName = (file, files) => path.relative(path.dirname(outputFileFor(file, files)), file).split(path.sep).join("/");
+
+    const result = await this.compileProject(inputFile, file => fs.readFileSync(file, "utf-8"), { rewriteImport, sourceName });
+
+    const failed = result.modules.find(module => module.code === null);
+    if (failed) {
+      const [firstError, ...otherErrors] = result.diagnostics.filter(d => d.severity === 'error');
+      const more = otherErrors.length ? ` (and ${otherErrors.length} more error(s))` : "";
+      throw new UIXCompilationError(`UIX Compilation failed: ${firstError.message}${more}`, firstError);
     }
-  } else if (typeof value === "string" && /^[a-zA-Z_$][a-zA-Z0-9_$.]*$/.test(value)) {
-    const parts = value.split(".");
-    usedIdentifiers.add(parts[0]);
-  }
-}
-
-// Enhanced component definition processing with validation schema inference
-function processComponentDefinition(compDef) {
-  const componentName = compDef.name.value;
-  const componentParams = compDef.params.map(p => p.value);
-  
-  // Store component definition for validation
-  customComponentDefinitions.set(componentName, {
-    name: componentName,
-    params: componentParams,
-    body: compDef.body
-  });
-  
-  // Infer validation schema from component usage patterns
-  const inferredSchema = inferValidationSchema(compDef);
-  
-  // Register validator for this custom component
-  componentValidators.set(componentName, new UIXComponentValidator(componentName, inferredSchema));
-  
-  return { componentName, componentParams, inferredSchema };
-}
 
-// Infer validation schema from component definition
-function inferValidationSchema(compDef) {
-  const schema = {};
-  const componentParams = compDef.params.map(p => p.value);
-  
-  // Analyze component body to infer prop types
-  componentParams.forEach(param => {
-    // Start with a flexible schema - we'll refine based on usage
-    schema[param] = UIXSchema.any({ required: true });
-    
-    // Analyze usage patterns in the component body
-    const usage = analyzeParameterUsage(param, compDef.body);
-    
-    if (usage.usedAsText) {
-      schema[param] = UIXSchema.string({ required: true });
-    } else if (usage.usedAsNumber) {
-      schema[param] = UIXSchema.number({ required: true });
-    } else if (usage.usedAsBoolean) {
-      schema[param] = UIXSchema.boolean({ required: true });
-    } else if (usage.usedAsArray) {
-      schema[param] = UIXSchema.array({ 
-        required: true, 
-        items: UIXSchema.any() 
-      });
-    } else if (usage.usedAsFunction) {
-      schema[param] = UIXSchema.function({ required: true });
-    }
-    
-    // Check if parameter has default values or is optional
-    if (usage.hasDefaultValue || usage.conditionalUsage) {
-      schema[param] = UIXSchema.optional(schema[param]);
+    const files = result.modules.map(module => module.file);
+    for (const module of result.modules) {
+      const outputFile = outputFileFor(module.file, files);
+      fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+
+      // Inline maps are already in the code; otherwise the map is written next to it
+      let code = module.code;
+      if (module.map && this.config.sourceMap !== 'inline') {
+        const mapFile = `${outputFile}.map`;
+        fs.writeFileSync(mapFile, JSON.stringify({ ...module.map, file: path.basename(outputFile) }));
+        code = `${code.trimEnd()}\n//# sourceMappingURL=${path.basename(mapFile)}\n`;
+      }
+      fs.writeFileSync(outputFile, code);
+      this.log('log', `✅ Compiled: ${outputFile}`);
     }
-  });
-  
-  return schema;
-}
 
-// Analyze how a parameter is used within a component body
-function analyzeParameterUsage(param, body) {
-  const usage = {
-    usedAsText: false,
-    usedAsNumber: false,
-    usedAsBoolean: false,
-    usedAsArray: false,
-    usedAsFunction: false,
-    hasDefaultValue: false,
-    conditionalUsage: false
-  };
-  
-  function analyzeNode(node) {
-    if (!node) return;
-    
-    // Check props for parameter usage
-    if (node.props) {
-      Object.entries(node.props).forEach(([key, value]) => {
-        if (typeof value === 'object' && value !== null && 
-            (value.type === 'expression' || value.type === 'identifier')) {
-          
-          if (value.value === param) {
-            // Direct parameter usage
-            if (key === 'text') usage.usedAsText = true;
-            if (key === 'onClick' || key === 'onSubmit') usage.usedAsFunction = true;
-            if (key === 'disabled' || key === 'required') usage.usedAsBoolean = true;
-          } else if (value.value.includes(param)) {
-            // Parameter used in expressions
-            if (value.value.includes(`${param}.map`) || value.value.includes(`${param}.length`)) {
-              usage.usedAsArray = true;
-            }
-            if (value.value.includes(`${param}.toString()`) || value.value.includes(`${param}.toUpperCase()`)) {
-              usage.usedAsText = true;
-            }
-            if (value.value.includes(`${param} ===`) || value.value.includes(`${param} !==`)) {
-              usage.usedAsBoolean = true;
-            }
-            
-            if (value.value.includes(`${param}(`) || value.value.includes(`${param}.call`)) {
-              usage.usedAsFunction = true;
-            }
-          }
-        }
-      });
-    }
-    
-    // Check for conditional usage
-    if (node.type === 'If' && node.condition && 
-        typeof node.condition === 'object' && node.condition.value && 
-        node.condition.value.includes(param)) {
-      usage.conditionalUsage = true;
-    }
-    
-    // Check for array usage in For loops
-    if (node.type === 'For' && node.list && 
-        typeof node.list === 'object' && node.list.value === param) {
-      usage.usedAsArray = true;
-    }
-    
-    // Recursively analyze children
-    if (node.children) {
-      node.children.forEach(analyzeNode);
+    if (this.config.enableDocGeneration) {
+      const docsFile = path.join(this.config.outputDir, "ComponentDocs.md");
+      fs.writeFileSync(docsFile, this.generateDocumentation());
+      this.log('log', `✅ Documentation: ${docsFile}`);
     }
-    if (node.body) {
-      node.body.forEach(analyzeNode);
-    }
-  }
-  
-  body.forEach(analyzeNode);
-  return usage;
-}
 
-// Enhanced props validation during compilation
-function validateProps(componentName, props) {
-  const validator = componentValidators.get(componentName);
-  if (!validator) {
-    console.warn(`⚠️  No validator found for component: ${componentName}`);
-    return props; // Return original props if no validator
-  }
-  
-  try {
-    // Convert UIX AST props to plain JavaScript objects for validation
-    const plainProps = {};
-    
-    if (props) {
-      Object.entries(props).forEach(([key, value]) => {
-        if (typeof value === 'object' && value !== null) {
-          if (value.type === 'string') {
-            plainProps[key] = value.value;
-          } else if (value.type === 'number') {
-            plainProps[key] = value.value;
-          } else if (value.type === 'expression' || value.type === 'identifier') {
-            // For expressions, we'll validate at runtime, but check basic structure
-            plainProps[key] = value.value;
-          }
-        } else {
-          plainProps[key] = value;
-        }
-      });
-    }
-    
-    // Validate props
-    const validatedProps = validator.validate(plainProps);
-    
-    console.log(`✅ Props validated for ${componentName}:`, Object.keys(validatedProps));
-    return props; // Return original AST props for further processing
-    
-  } catch (error) {
-    if (error instanceof UIXValidationError) {
-      console.error(`❌ Validation error in ${componentName}:`, error.message);
-      
-      // In development, we might want to halt compilation
-      if (process.env.NODE_ENV === 'development') {
-        throw new Error(`UIX Compilation failed due to validation error in ${componentName}: ${error.message}`);
-      }
-      
-      // In production, log error but continue with original props
-      console.warn(`⚠️  Continuing compilation despite validation error in ${componentName}`);
-      return props;
-    }
-    throw error;
+    this.printReport();
+    return result.modules[result.modules.length - 1].code;
   }
 }
 
-// Function to recursively collect all bind candidates and used identifiers from a given AST node or subtree
-function collectAllIdentifiers(node) {
-  if (!node) return;
-
-  // Validate props if this is a component with a validator
-  if (node.type && componentValidators.has(node.type)) {
-    validateProps(node.type, node.props);
-  }
-
-  // Handle props for standard elements
-  if (node.props) {
-    for (const [key, value] of Object.entries(node.props)) {
-      if (key === "bind") {
-        if (typeof value === 'object' && value !== null && value.type === 'expression') {
-          const varName = value.value;
-          if (/^[a-zA-Z_$][a-zA-Z0-9_]*$/.test(varName)) {
-            const initialValue = node.props.initial !== undefined
-              ? (typeof node.props.initial === 'object' && node.props.initial !== null && (node.props.initial.type === 'expression' || node.props.initial.type === 'string' || node.props.initial.type === 'number') ? node.props.initial.value : node.props.initial)
-              : "";
-            bindCandidates.set(varName, initialValue);
-            usedIdentifiers.add(varName);
-            usedIdentifiers.add(`set${capitalize(varName)}`);
-          } else {
-            console.warn(`Warning: 'bind' prop requires a simple identifier string. Found: '${varName}'.`);
-          }
-        }
-      } else if (key !== "text" && key !== "initial" && key !== "bindDefault") {
-        extractIdentifiers(value);
-      }
+// The deepest directory that contains all of the given absolute directories
+function commonDirectory(directories) {
+  let common = directories[0];
+  for (const directory of directories.slice(1)) {
+    while (path.relative(common, directory).startsWith("..") && path.dirname(common) !== common) {
+      common = path.dirname(common);
     }
   }
+  return common;
+}
 
-  // Handle If block condition
-  if (node.type === "If" && node.condition) {
-    extractIdentifiers(node.condition);
-  }
-
-  // Handle For block list and item
-  if (node.type === "For" && node.list) {
-    extractIdentifiers(node.list);
-    usedIdentifiers.add(node.item.value);
-  }
-
-  // Recursively process children
-  (node.children || []).forEach(collectAllIdentifiers);
-
-  // If it's a ComponentDefinition, process it and register validator
-  if (node.type === "ComponentDefinition") {
-    const { componentName, componentParams } = processComponentDefinition(node);
-    
-    componentParams.forEach(param => {
-      componentParameters.add(param);
+// Command line usage:
+//   node compiler/compile-to-react.js [input.uix] [--typescript] [--docs] [--strict]
+//     [--sourcemap | --sourcemap=inline] [--config file]
+// Options and plugins are read from uix.config.js when it exists and no --config is given
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  const args = process.argv.slice(2);
+  const configIndex = args.indexOf("--config");
+  const configFile = configIndex !== -1 ? args[configIndex + 1] : fs.existsSync("uix.config.js") ? "uix.config.js" : null;
+  const isConfigValue = index => configIndex !== -1 && index === configIndex + 1;
+  const inputFile = args.find((arg, index) => !arg.startsWith("--") && !isConfigValue(index)) || "uix/example.uix";
+
+  const run = async () => {
+    const fileOptions = configFile ? await loadConfigFile(configFile) : {};
+    const compiler = new UIXCompiler({
+      mode: process.env.NODE_ENV === 'production' ? 'production' : 'development',
+      ...fileOptions,
+      // Flags given on the command line win over the config file
+      ...(args.includes("--typescript") && { enableTypeScript: true }),
+      ...(args.includes("--docs") && { enableDocGeneration: true }),
+      ...(args.includes("--strict") && { strictValidation: true }),
+      ...(args.includes("--sourcemap") && { sourceMap: true }),
+      ...(args.includes("--sourcemap=inline") && { sourceMap: 'inline' })
     });
-    
-    node.body.forEach(collectAllIdentifiers);
-  }
-  
-  // If it's the main AppElement, process its body
-  if (node.type === "App" && node.body) {
-    node.body.forEach(collectAllIdentifiers);
-  }
-}
+    await compiler.compile(inputFile);
+  };
 
-// Initial pass to collect all identifiers and bind candidates from the entire AST
-parsedAst.components.forEach(collectAllIdentifiers);
-if (parsedAst.app) {
-  collectAllIdentifiers(parsedAst.app);
-}
\ No newline at end of file
+  run().catch(error => {
+    console.error("❌ Compilation failed:", error.message);
+    process.exitCode = 1;
+  });
+}
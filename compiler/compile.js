@@ -1,220 +1,2055 @@
-import fs from "fs";
+// UIX Compiler with Integrated Props Validation System
+// In-memory compilation pipeline: no filesystem access, so it can run in editors,
+// bundler plugins and the browser. See compile-to-react.js for the file-based CLI.
 import * as parser from "./parser.js";
 
-const code = fs.readFileSync("uix/example.uix", "utf-8");
+// Import the validation system
+import { UIXSchema, UIXComponentValidator, UIXValidationError } from './uix-validation.js';
+import { isLiteral, literalValue, walkExpression, mapExpression, freeIdentifiers, freeIdentifierReferences } from './uix-expressions.js';
+import { syntaxErrorToDiagnostic, formatDiagnostic } from './uix-diagnostics.js';
+import { loadModuleGraph, isUixImport } from './uix-modules.js';
+import { formatPropsTable, callSiteSnippet, formatUsageExample, schemaUsageExample } from './uix-docs.js';
+import { createSourceMap, inlineSourceMapComment } from './uix-sourcemap.js';
+import * as t from './uix-estree.js';
+import { print } from './uix-printer.js';
+
 const tagMap = {
-  App: "div",
+  // App is a special top-level construct, not a generic div
   Title: "h1",
   Row: "div",
+  Card: "div",
   Button: "button",
   Input: "input",
   Text: "span"
 };
 
-const ast = parser.parse(code);
+// Built-in component validation schemas
+const builtInValidationSchemas = {
+  Title: {
+    text: UIXSchema.string({ required: true }),
+    className: UIXSchema.optional(UIXSchema.string()),
+    id: UIXSchema.optional(UIXSchema.string())
+  },
+  Row: {
+    className: UIXSchema.optional(UIXSchema.string()),
+    style: UIXSchema.optional(UIXSchema.object()),
+    onClick: UIXSchema.optional(UIXSchema.function())
+  },
+  Card: {
+    title: UIXSchema.optional(UIXSchema.string()),
+    className: UIXSchema.optional(UIXSchema.string()),
+    style: UIXSchema.optional(UIXSchema.object()),
+    onClick: UIXSchema.optional(UIXSchema.function())
+  },
+  Button: {
+    text: UIXSchema.string({ required: true }),
+    onClick: UIXSchema.function({ required: true }),
+    disabled: UIXSchema.optional(UIXSchema.boolean(), false),
+    type: UIXSchema.optional(UIXSchema.enum(['button', 'submit', 'reset']), 'button'),
+    className: UIXSchema.optional(UIXSchema.string()),
+    variant: UIXSchema.optional(UIXSchema.enum(['primary', 'secondary', 'danger', 'success']), 'primary')
+  },
+  Input: {
+    bind: UIXSchema.optional(UIXSchema.string()),
+    initial: UIXSchema.optional(UIXSchema.union([UIXSchema.string(), UIXSchema.number()])),
+    type: UIXSchema.optional(UIXSchema.enum(['text', 'email', 'password', 'number', 'tel', 'url']), 'text'),
+    placeholder: UIXSchema.optional(UIXSchema.string()),
+    required: UIXSchema.optional(UIXSchema.boolean(), false),
+    disabled: UIXSchema.optional(UIXSchema.boolean(), false),
+    minLength: UIXSchema.optional(UIXSchema.number({ min: 0 })),
+    maxLength: UIXSchema.optional(UIXSchema.number({ min: 1 })),
+    pattern: UIXSchema.optional(UIXSchema.string()),
+    onChange: UIXSchema.optional(UIXSchema.function())
+  },
+  Text: {
+    text: UIXSchema.string({ required: true }),
+    className: UIXSchema.optional(UIXSchema.string()),
+    style: UIXSchema.optional(UIXSchema.object())
+  }
+};
+
+// Globals that may appear in expressions without being passed in as props
+const knownGlobals = new Set([
+  "Math", "JSON", "Date", "Number", "String", "Boolean", "Array", "Object",
+  "console", "window", "document", "undefined", "NaN", "Infinity", "true", "false", "null",
+  "setTimeout", "clearTimeout", "setInterval", "clearInterval", "fetch", "Promise", "localStorage", "sessionStorage", "alert"
+]);
+
+// TypeScript types of the inferred parameter types
+const typeScriptTypes = {
+  string: t.tsKeyword('string'),
+  number: t.tsKeyword('number'),
+  boolean: t.tsKeyword('boolean'),
+  function: t.tsFunctionType([t.restElement(t.typed(t.identifier("args"), t.tsArrayType(t.tsKeyword('any'))))], t.tsKeyword('any')),
+  array: t.tsArrayType(t.tsKeyword('any')),
+  object: t.tsTypeReference("Record", [t.tsKeyword('string'), t.tsKeyword('any')]),
+  any: t.tsKeyword('any')
+};
+
+// Builds the TypeScript type of a validation schema
+function schemaToTypeScript(schema) {
+  const { constraints = {} } = schema;
+  switch (schema.type) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+      return t.tsKeyword(schema.type);
+    case 'array':
+      return constraints.items ? t.tsArrayType(schemaToTypeScript(constraints.items)) : typeScriptTypes.array;
+    case 'object': {
+      if (!constraints.properties) return typeScriptTypes.object;
+      return t.tsTypeLiteral(Object.entries(constraints.properties).map(([key, field]) =>
+        t.tsPropertySignature(key, schemaToTypeScript(field), field.required === false)));
+    }
+    case 'enum': {
+      const values = constraints.values.map(value => t.tsLiteralType(value));
+      return values.length === 1 ? values[0] : t.tsUnionType(values);
+    }
+    case 'union':
+      return t.tsUnionType(constraints.schemas.map(schemaToTypeScript));
+    default:
+      return typeScriptTypes[schema.type] || typeScriptTypes.any;
+  }
+}
 
-// Tracking
-const usedIdentifiers = new Set();
-const boundVariables = new Map(); // Stores varName -> initialValue
+// Lists the variables a body iterates over directly, as in `for (user in users)`
+function iteratedVariables(nodes) {
+  return (nodes || []).flatMap(node => [
+    ...(node.type === 'For' && node.list.type === 'identifier' ? [node.list.value] : []),
+    ...iteratedVariables(childElements(node))
+  ]);
+}
 
 function capitalize(str) {
-  return str ? str.charAt(0).toUpperCase() + str.slice(1) : "";
+  const actualStr = (typeof str === "object" && str !== null && str.value !== undefined) ? str.value : str;
+  return typeof actualStr === "string" ? actualStr.charAt(0).toUpperCase() + actualStr.slice(1) : "";
 }
 
-function extractIdentifiers(value) {
-  // Only treat as identifier if it's a valid JS expression (e.g., user.name)
-  if (typeof value === "string" && /^[a-zA-Z_$][a-zA-Z0-9_$.]*$/.test(value)) {
-    const parts = value.split(".");
-    usedIdentifiers.add(parts[0]); // Add the root identifier (e.g., 'user' from 'user.name')
-  }
+// Checks whether an expression is a plain reference to the given variable
+function isReferenceTo(node, name) {
+  return typeof node === "object" && node !== null &&
+    (node.type === 'identifier' || node.type === 'expression') && node.value === name;
+}
+
+// Lists the elements nested directly inside a node, across all of its branches
+function childElements(node) {
+  return [
+    ...(node.children || []),
+    ...(node.alternate || []),
+    ...(node.cases || []).flatMap(matchCase => matchCase.children),
+    ...(node.fallback || []),
+    ...(node.empty || [])
+  ];
+}
+
+// Lists the expressions a node evaluates itself (not those of its children)
+function elementExpressions(node) {
+  return [
+    ...(node.spreads || []).map(spread => spread.argument),
+    ...Object.values(node.props || {}),
+    node.condition,
+    node.subject,
+    ...(node.cases || []).flatMap(matchCase => matchCase.values),
+    node.list,
+    node.key
+  ].filter(Boolean);
+}
+
+// Checks whether any element in a subtree reads a member of the given variable, or
+// spreads it into props, which reads every member
+function readsMemberOf(name, nodes) {
+  return nodes.some(node => {
+    let found = (node.spreads || []).some(spread => isReferenceTo(spread.argument, name));
+    elementExpressions(node).forEach(expression => walkExpression(expression, (current, parent) => {
+      if (parent?.type === 'member' && parent.object === current && isReferenceTo(current, name)) {
+        found = true;
+      }
+    }));
+    return found || readsMemberOf(name, childElements(node));
+  });
+}
+
+// Returns the event name of an `emit("name", ...)` call, or null for any other node
+function emittedEvent(node) {
+  return node.type === 'call' && isReferenceTo(node.callee, 'emit') && node.arguments[0]?.type === 'string'
+    ? node.arguments[0].value
+    : null;
+}
+
+// Lists the events a body emits from its handlers, in order of first use
+function emittedEvents(nodes) {
+  const events = [];
+  const visit = node => {
+    elementExpressions(node).forEach(expression => walkExpression(expression, current => {
+      const event = emittedEvent(current);
+      if (event && !events.includes(event)) events.push(event);
+    }));
+    childElements(node).forEach(visit);
+  };
+  (nodes || []).forEach(visit);
+  return events;
+}
+
+// Checks whether an element calls a user-defined (or external) component rather than a
+// built-in element or a control-flow block
+function isComponentCall(node, tags = tagMap) {
+  return /^[A-Z]/.test(node.type) && !tags.hasOwnProperty(node.type) && !["If", "For", "Match", "Slot"].includes(node.type);
 }
 
-// Converts a props object to JSX string
-function renderProps(props) {
-  const safeProps = props || {};
-  const jsxProps = [];
-  let bindPropValue = null;
-  let initialPropValue = null;
+// Checks whether a node fills a named slot of the component call it sits in,
+// e.g. `slot header { ... }` directly inside `Card(...) { ... }`
+function isSlotContent(node, parent, tags = tagMap) {
+  return node.type === "Slot" && node.name !== null && node.children !== null && parent !== null && isComponentCall(parent, tags);
+}
 
-  // First pass: Extract special props like 'bind' and 'initial'
-  for (const [key, value] of Object.entries(safeProps)) {
-    if (key === "bind") {
-      bindPropValue = value;
-    } else if (key === "initial") {
-      initialPropValue = value;
+// Lists the props a body renders as slots: `children` for `slot`, the slot name otherwise
+function slotProps(nodes, parent = null, tags = tagMap) {
+  const slots = [];
+  for (const node of nodes || []) {
+    if (node.type === "Slot" && !isSlotContent(node, parent, tags)) {
+      const prop = node.name ? node.name.value : "children";
+      if (!slots.includes(prop)) slots.push(prop);
     }
+    slotProps(childElements(node), node, tags).forEach(prop => {
+      if (!slots.includes(prop)) slots.push(prop);
+    });
   }
+  return slots;
+}
 
-  // Process 'bind' and 'initial' together
-  if (bindPropValue !== null) {
-    // Validate that 'bind' value is a simple identifier (no dots)
-    if (typeof bindPropValue !== "string" || !/^[a-zA-Z_$][a-zA-Z0-9_]*$/.test(bindPropValue)) {
-      console.warn(`Warning: 'bind' prop requires a simple identifier string. Found: '${bindPropValue}'. This input might be uncontrolled.`);
-      // Fallback to read-only value if bind target is complex
-      jsxProps.push(`value={${bindPropValue}}`);
-    } else {
-      const varName = bindPropValue;
-      // Store the initial value for the bound variable. Default to empty string if no 'initial' prop.
-      boundVariables.set(varName, initialPropValue !== null ? initialPropValue : "");
-      // Add the setter function name to usedIdentifiers so it's not passed as a prop
-      usedIdentifiers.add(`set${capitalize(varName)}`);
-      // Generate the value and onChange handler for the controlled input
-      jsxProps.push(`value={${varName}} onChange={e => set${capitalize(varName)}(e.target.value)}`);
-    }
+// Checks whether a schema accepts every value another schema allows, as far as can be
+// told without running the code
+function schemaAccepts(target, source) {
+  if (target.type === 'any' || source.type === 'any') return true;
+  if (target.type === 'union') return target.constraints.schemas.some(schema => schemaAccepts(schema, source));
+  if (source.type === 'union') return source.constraints.schemas.every(schema => schemaAccepts(target, schema));
+  if (source.type === 'enum') {
+    return target.type === 'enum'
+      ? source.constraints.values.every(value => target.constraints.values.includes(value))
+      : source.constraints.values.every(value => typeof value === target.type);
   }
+  // A plain string may or may not be one of the enum values
+  if (target.type === 'enum') return target.constraints.values.some(value => typeof value === source.type);
+  return target.type === source.type;
+}
 
-  // Second pass: Process all other props
-  for (const [key, value] of Object.entries(safeProps)) {
-    // Skip 'bind' and 'initial' as they are already processed
-    if (key === "bind" || key === "initial") {
+// Prints a grammar expression as JavaScript source, for messages and docs
+function printExpression(node) {
+  return print(t.fromExpression(node)).code;
+}
+
+// Checks whether evaluating an expression more than once is cheap and side-effect free
+function isSimpleReference(node) {
+  if (node.type === 'identifier') return true;
+  return node.type === 'member' && !node.computed && isSimpleReference(node.object);
+}
+
+// Checks whether a handler statement after `statements[index]` reads the value it assigns
+// to `name`. Plain assignment targets are written, not read; a later assignment to the same
+// state ends the search, and reads the value only if it uses the old one and is read itself.
+function isReadAfter(statements, index, name) {
+  for (let later = index + 1; later < statements.length; later++) {
+    const statement = statements[later];
+    if (statement.type !== 'assignment' || statement.target.type !== 'identifier') {
+      if (freeIdentifiers(statement).includes(name)) return true;
       continue;
     }
+    const readsValue = freeIdentifiers(statement.value).includes(name);
+    if (statement.target.value === name) {
+      return (statement.operator !== "=" || readsValue) && isReadAfter(statements, later, name);
+    }
+    if (readsValue) return true;
+  }
+  return false;
+}
 
-    // 'text' prop is handled in generateJSX for inner content, not as a JSX attribute
-    if (key === "text") {
-      continue;
+// Builds the parameter list of a generated function component: one destructured props
+// object, or nothing for a component without props
+function destructureProps(props, rest = null) {
+  return props.length || rest ? [t.objectPattern(props, rest)] : [];
+}
+
+// Builds the JSDoc comment for doc comment text
+function docComment(text) {
+  const lines = text.replace(/\*\//g, "*\\/").split("\n");
+  return { type: 'Block', value: `*\n${lines.map(line => ` *${line ? " " + line : ""}`).join("\n")}\n ` };
+}
+
+// Builds a call of a React hook, as in `React.useState(0)`
+function hookCall(hook, args, typeArguments = null) {
+  return t.callExpression(t.memberExpression(t.identifier("React"), hook), args, { typeArguments });
+}
+
+// Maps a parameter type annotation onto a validation schema
+function typeToSchema(type, required = true) {
+  switch (type.kind) {
+    case 'string':
+      return UIXSchema.string({ required });
+    case 'number':
+      return UIXSchema.number({ required });
+    case 'boolean':
+      return UIXSchema.boolean({ required });
+    case 'fn':
+      return UIXSchema.function({ required });
+    case 'list':
+      return UIXSchema.array({ required, items: typeToSchema(type.items) });
+    case 'object': {
+      if (!type.properties) return UIXSchema.object({ required });
+      const properties = type.properties.map(property => [property.key, typeToSchema(property.valueType, !property.optional)]);
+      return UIXSchema.object({ required, properties: Object.fromEntries(properties) });
     }
+    case 'literal':
+      return UIXSchema.enum([type.value], { required });
+    case 'union':
+      // A union of literals such as `"sm" | "md" | "lg"` is an enum
+      if (type.types.every(member => member.kind === 'literal')) {
+        return UIXSchema.enum(type.types.map(member => member.value), { required });
+      }
+      return UIXSchema.union(type.types.map(member => typeToSchema(member)), { required });
+    default:
+      return UIXSchema.any({ required });
+  }
+}
+
+// Names the type of a literal value the way inferred parameter types are named
+function literalType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'any';
+  return ['string', 'number', 'boolean', 'object'].includes(typeof value) ? typeof value : 'any';
+}
+
+// Builds a `let` declaration: functions become callbacks and values that are costly to
+// compute or that create objects are memoized; anything else is recomputed on each render
+function derivedValue(name, value, deps, loc = null) {
+  const id = t.identifier(name);
+  const depList = t.arrayExpression(deps.map(dep => t.identifier(dep)));
+  if (value.type === 'arrow') {
+    return t.variableDeclaration("const", id, hookCall("useCallback", [t.fromExpression(value), depList]), loc);
+  }
+
+  let memoize = false;
+  walkExpression(value, node => {
+    if (['call', 'array', 'object', 'arrow'].includes(node.type)) memoize = true;
+  });
+  if (!memoize) {
+    return t.variableDeclaration("const", id, t.fromExpression(value), loc);
+  }
+  const factory = t.arrowFunction([], t.fromExpression(value));
+  return t.variableDeclaration("const", id, hookCall("useMemo", [factory, depList]), loc);
+}
+
+// Builds the useState call for a piece of state. In TypeScript, state that starts out as
+// null or as an empty array or object would be inferred too narrowly, so it is typed loosely.
+function stateHook(name, initial, typeScript = false, loc = null) {
+  let typeArgument = null;
+  if (typeScript && initial.type === 'array' && initial.elements.length === 0) {
+    typeArgument = t.tsArrayType(t.tsKeyword('any'));
+  } else if (typeScript && (initial.type === 'null' || (initial.type === 'object' && initial.properties.length === 0))) {
+    typeArgument = t.tsKeyword('any');
+  }
+  const call = hookCall("useState", [t.fromExpression(initial)], typeArgument && [typeArgument]);
+  return t.variableDeclaration("const", t.arrayPattern([name, `set${capitalize(name)}`]), call, loc);
+}
+
+// Names a plugin in diagnostics
+function pluginName(plugin) {
+  return plugin?.name ? `'${plugin.name}'` : "(unnamed)";
+}
+
+/**
+ * Compiler configuration with defaults
+ */
+export class UIXCompilerConfig {
+  constructor(options = {}) {
+    this.mode = options.mode || 'development';
+    this.outputFormat = options.outputFormat || 'jsx';
+    this.outputDir = options.outputDir || 'src';
+    this.enableTypeScript = options.enableTypeScript || false;
+    this.enableDocGeneration = options.enableDocGeneration || false;
+    this.strictValidation = options.strictValidation || false;
+    this.silent = options.silent || false;
+    this.customSchemas = options.customSchemas || {};
+    // false, true (return the map next to the code) or 'inline' (also embed it in the code)
+    this.sourceMap = options.sourceMap || false;
+  }
+}
+
+/**
+ * Registry of compiler plugins and the lifecycle hooks they subscribe to.
+ *
+ * A plugin is an object with an optional `name`, an optional `setup(api)` called once when
+ * it is registered, and any of these hooks, run in registration order for every file:
+ *
+ * - `onCompile({ inputFile, config })` before the file is parsed
+ * - `onAST({ ast, inputFile })` after parsing; may change the AST or return a new one
+ * - `onComponent({ definition, node })` for each component defined in the file; the
+ *   definition (schema, body, ...) may be changed before call sites are validated
+ * - `onPropError({ type, componentName, props, error })` for each invalid prop
+ * - `onOutput({ inputFile, output, map, program })` with the generated code, its source
+ *   map and the syntax tree it was printed from (see uix-estree.js); may return new code
+ *
+ * The compiler gives `setup` an api to `report` diagnostics and to `registerComponent`
+ * and `registerSchema` (see UIXSourceCompiler.pluginApi).
+ */
+export class UIXPluginManager {
+  /**
+   * @param {object} [host] - `createApi(plugin)` returns the api passed to `setup`;
+   *   `onError(error, hookName, plugin)` is told about failing plugins, which are logged
+   *   to the console otherwise
+   */
+  constructor(host = {}) {
+    this.host = host;
+    this.plugins = [];
+    this.hooks = {
+      onCompile: [],
+      onAST: [],
+      onComponent: [],
+      onOutput: [],
+      onPropError: []
+    };
+    // The plugin each handler was registered by, which it is called on
+    this.owners = new WeakMap();
+  }
 
-    // Extract identifiers from other prop values (e.g., onClick={myFunction})
-    extractIdentifiers(value);
+  /**
+   * Register a plugin object; each known hook it defines is subscribed, and is called
+   * with the plugin as `this`
+   */
+  registerPlugin(plugin) {
+    this.plugins.push(plugin);
+    for (const hookName of Object.keys(this.hooks)) {
+      if (typeof plugin[hookName] === 'function') {
+        this.hooks[hookName].push(plugin[hookName]);
+        this.owners.set(plugin[hookName], plugin);
+      }
+    }
+    if (typeof plugin.setup === 'function' && this.host.createApi) {
+      try {
+        plugin.setup(this.host.createApi(plugin));
+      } catch (error) {
+        this.handleError(error, 'setup', plugin);
+      }
+    }
+    return this;
+  }
 
-    // Handle event handlers (e.g., onClick, onInput)
-    if (key.startsWith("on")) {
-      jsxProps.push(`${key}={${value}}`);
+  /**
+   * Run every handler for a hook in registration order. A failing handler is
+   * logged and does not prevent the remaining handlers from running.
+   */
+  async executeHook(hookName, ...args) {
+    const results = [];
+    for (const handler of this.hooks[hookName] || []) {
+      const plugin = this.owners.get(handler) ?? null;
+      try {
+        results.push(await handler.call(plugin, ...args));
+      } catch (error) {
+        this.handleError(error, hookName, plugin);
+      }
     }
-    // Handle string literal values for other props
-    else if (typeof value === "string") {
-      jsxProps.push(`${key}="${value}"`);
+    return results;
+  }
+
+  /**
+   * Run the handlers for a hook as a pipeline over `context[key]`: a handler that returns
+   * something other than undefined replaces the value the next handlers see. Failing
+   * handlers are skipped, as in executeHook. Returns the final value.
+   */
+  async applyHook(hookName, key, context) {
+    let value = context[key];
+    for (const handler of this.hooks[hookName] || []) {
+      const plugin = this.owners.get(handler) ?? null;
+      try {
+        const result = await handler.call(plugin, { ...context, [key]: value });
+        if (result !== undefined) value = result;
+      } catch (error) {
+        this.handleError(error, hookName, plugin);
+      }
     }
-    // Handle other types (numbers, booleans, objects) by stringifying and wrapping in curly braces
-    else {
-      jsxProps.push(`${key}={${JSON.stringify(value)}}`);
+    return value;
+  }
+
+  handleError(error, hookName, plugin) {
+    if (this.host.onError) {
+      this.host.onError(error, hookName, plugin);
+    } else {
+      console.error(`Plugin hook '${hookName}' failed:`, error.message);
     }
   }
+}
 
-  return jsxProps.join(" ");
+/**
+ * Error thrown when compilation cannot continue, e.g. a prop error under strict validation
+ */
+export class UIXCompilationError extends Error {
+  constructor(message, diagnostic = null) {
+    super(message);
+    this.name = 'UIXCompilationError';
+    this.diagnostic = diagnostic;
+  }
 }
 
-// Generate JSX for the entire AST
-function generateJSX(node, indent = "  ") {
-  const { type, props, children } = node;
-  const childIndent = indent + "  "; // Deeper indent for children
+/**
+ * Compiles UIX source text into a React module without touching the filesystem
+ */
+export class UIXSourceCompiler {
+  constructor(options = {}) {
+    this.config = new UIXCompilerConfig(options);
+    this.pluginManager = new UIXPluginManager({
+      createApi: plugin => this.pluginApi(plugin),
+      onError: (error, hookName, plugin) => this.report('warning', 'plugin-error', `Plugin ${pluginName(plugin)} failed in '${hookName}': ${error.message}`, {
+        plugin: plugin?.name ?? null
+      })
+    });
+
+    // Built-in components: the HTML tag each renders and the schema of its props.
+    // Plugins can add to both, so they are copied per compiler
+    this.builtInTags = { ...tagMap };
+    this.builtInSchemas = { ...builtInValidationSchemas };
+    // The built-ins not shadowed by a component of the file being compiled (see processAST)
+    this.tags = this.builtInTags;
+
+    // Component validation registry
+    this.componentValidators = new Map();
+
+    // Custom component definitions with validation
+    this.customComponentDefinitions = new Map();
+
+    // Definitions of the components the current file imports from other .uix files
+    this.importedComponents = new Map();
+
+    // Components implemented outside UIX, described by `declare component`
+    this.declaredComponents = new Map();
+
+    // Every name the current file imports, from .uix files and JavaScript modules alike
+    this.importedNames = [];
+    this.rewriteImport = specifier => specifier;
+
+    // Errors and warnings collected during the current compilation
+    this.diagnostics = [];
+    this.filename = null;
+    this.source = null;
 
-  // Handle 'If' blocks (conditional rendering)
-  if (type === "If") {
-    extractIdentifiers(node.condition); // Track the condition variable
-    const innerChildren = children.map(c => generateJSX(c, childIndent)).join("\n");
-    // Generate a ternary operator for conditional rendering
-    return `${indent}{${node.condition} ? (\n${innerChildren}\n${indent}) : null}`;
+    // Call sites of every component, used for usage examples in the docs. They are keyed by
+    // the definition of a custom component and by the name of a built-in, so a component
+    // that shadows a built-in, or another file's component of the same name, keeps its own
+    this.callSites = new Map();
+
+    // Definitions, call sites and diagnostics of all files of the last compileProject, for
+    // the docs and the report
+    this.projectDefinitions = null;
+    this.projectCallSites = null;
+    this.projectDiagnostics = null;
+
+    // Source locations of the source map markers in the code being generated
+    this.sourceMapLocations = [];
+
+    // Tracking for the component currently being generated
+    this.bindCandidates = new Map();
+    this.injectedProps = [];
+    this.appState = [];
+
+    this.initializeValidators();
+    (options.plugins || []).forEach(plugin => this.pluginManager.registerPlugin(plugin));
+  }
+
+  /**
+   * Register validators for the built-in components and any custom schemas from the config
+   */
+  initializeValidators() {
+    const schemas = { ...this.builtInSchemas, ...this.config.customSchemas };
+    Object.entries(schemas).forEach(([componentName, schema]) => {
+      this.componentValidators.set(componentName, new UIXComponentValidator(componentName, schema));
+    });
+  }
+
+  /**
+   * The api a plugin's `setup` receives:
+   * - `report(severity, code, message, details)` adds a diagnostic to the current file,
+   *   marked with the plugin's name
+   * - `registerComponent(name, { tag, schema })` adds a built-in component rendered as the
+   *   HTML `tag` and validated with the props `schema`
+   * - `registerSchema(name, schema)` validates the props of a component defined elsewhere,
+   *   like `customSchemas` in the config
+   */
+  pluginApi(plugin) {
+    return {
+      config: this.config,
+      report: (severity, code, message, details = {}) => this.report(severity, code, message, { plugin: plugin.name ?? null, ...details }),
+      registerComponent: (name, { tag, schema = {} }) => {
+        this.builtInTags[name] = tag;
+        this.registerSchema(name, schema);
+      },
+      registerSchema: (name, schema) => this.registerSchema(name, schema)
+    };
+  }
+
+  registerSchema(name, schema) {
+    this.builtInSchemas[name] = schema;
+    this.componentValidators.set(name, new UIXComponentValidator(name, schema));
+  }
+
+  /**
+   * Compile UIX source text. Never throws for problems in the source: they are returned as
+   * diagnostics. `code` is null when the source has syntax errors, or prop errors under
+   * strict validation; other errors still leave the generated code in place.
+   *
+   * `options.importedComponents` maps the names the file imports to the definitions
+   * compiled from their own files, and `options.importDiagnostics` holds the problems
+   * found while resolving its imports. compileProject fills in both.
+   * `options.rewriteImport(specifier)` maps the path of an import onto the path to use
+   * from the generated module; by default paths are kept as written.
+   * `options.sourceName` is the path of the source as the source map names it, which has to
+   * be relative to where the generated module ends up; by default it is `filename`.
+   */
+  async compileSource(source, filename = "input.uix", { importedComponents = new Map(), importDiagnostics = [], rewriteImport = specifier => specifier, sourceName = filename } = {}) {
+    this.diagnostics = [];
+    this.filename = filename;
+    this.source = source;
+    this.callSites = new Map();
+    this.projectDefinitions = null;
+    this.projectCallSites = null;
+    this.projectDiagnostics = null;
+    this.customComponentDefinitions.clear();
+    this.importedComponents = importedComponents;
+    this.rewriteImport = rewriteImport;
+    await this.pluginManager.executeHook('onCompile', { inputFile: filename, config: this.config });
+
+    // Every syntax error is reported, but code is only generated from a complete AST
+    const { ast: parsedAST, diagnostics: syntaxErrors } = parse(source, { filename });
+    for (const { message, loc, expected, found } of syntaxErrors) {
+      this.report('error', 'parse-error', message, { loc, expected, found });
+    }
+    for (const { severity, code, message, ...details } of importDiagnostics) {
+      this.report(severity, code, message, details);
+    }
+
+    let code = null;
+    let map = null;
+    if (syntaxErrors.length === 0) {
+      try {
+        this.program = null;
+        this.sourceMappings = [];
+        const ast = await this.pluginManager.applyHook('onAST', 'ast', { ast: parsedAST, inputFile: filename });
+        code = await this.processAST(ast);
+        if (this.config.sourceMap) {
+          map = createSourceMap(this.sourceMappings, { sourceFile: sourceName, source });
+        }
+        // The map describes the code before plugins rewrite it; plugins that move code get it to update
+        code = await this.pluginManager.applyHook('onOutput', 'output', { inputFile: filename, output: code, map, program: this.program });
+        if (map && this.config.sourceMap === 'inline') {
+          code = `${code.trimEnd()}\n${inlineSourceMapComment(map)}\n`;
+        }
+      } catch (error) {
+        if (!(error instanceof UIXCompilationError)) throw error;
+        code = null;
+      }
+    }
+
+    return {
+      code,
+      map,
+      diagnostics: this.diagnostics,
+      components: Array.from(this.customComponentDefinitions.values()).map(({ name, params, inferredTypes, doc }) => ({
+        name,
+        params,
+        inferredTypes,
+        doc
+      })),
+      meta: {
+        filename,
+        mode: this.config.mode,
+        typescript: this.config.enableTypeScript,
+        injectedProps: this.injectedProps,
+        state: this.appState
+      }
+    };
+  }
+
+  /**
+   * Compile an entry file and every .uix file it imports, each into its own module.
+   * Files are compiled after the files they import, so the schema inferred for an
+   * imported component validates its call sites in the importing file.
+   *
+   * @param {string} entryFile - Path of the entry .uix file
+   * @param {function} readFile - Returns the source text of a file, throwing if it does not exist
+   * @param {object} [options] - `rewriteImport(specifier, file, files)` maps the path of an
+   *   import in `file` onto the path to use from its generated module; `files` lists every
+   *   file of the project, so the layout of the generated modules can be worked out.
+   *   `sourceName(file, files)` gives the path the source map of that module names `file` by.
+   * @returns {Promise<{entry: string, modules: object[], diagnostics: object[]}>} the
+   *   compileSource result of every module plus its `file`, in dependency order
+   */
+  async compileProject(entryFile, readFile, { rewriteImport = specifier => specifier, sourceName = file => file } = {}) {
+    const graph = loadModuleGraph(entryFile, { readFile, parse });
+    const files = graph.map(module => module.file);
+    const exportsByFile = new Map();
+    const modules = [];
+    const definitions = [];
+    const callSites = new Map();
+
+    for (const module of graph) {
+      const importedComponents = new Map();
+      const importDiagnostics = [...module.diagnostics];
+      for (const declaration of (module.ast.imports || []).filter(isUixImport)) {
+        // Files that failed to load or to parse have already been reported
+        const exported = exportsByFile.get(module.dependencies.get(declaration.source.value));
+        if (!exported) continue;
+        for (const name of declaration.names) {
+          if (exported.has(name.value)) {
+            importedComponents.set(name.value, exported.get(name.value));
+          } else {
+            importDiagnostics.push({
+              severity: 'error',
+              code: 'unknown-import',
+              message: `'${name.value}' is not exported by '${declaration.source.value}'`,
+              file: module.file,
+              loc: name.loc
+            });
+          }
+        }
+      }
+
+      const result = await this.compileSource(module.source, module.file, {
+        importedComponents,
+        importDiagnostics,
+        rewriteImport: specifier => rewriteImport(specifier, module.file, files),
+        sourceName: sourceName(module.file, files)
+      });
+      const parsed = !result.diagnostics.some(d => d.code === 'parse-error');
+      const exported = Array.from(this.customComponentDefinitions.values()).filter(definition => definition.exported);
+      exportsByFile.set(module.file, parsed ? new Map(exported.map(definition => [definition.name, definition])) : null);
+      modules.push({ file: module.file, ...result });
+
+      definitions.push(...this.customComponentDefinitions.values());
+      this.callSites.forEach((sites, key) => callSites.set(key, [...(callSites.get(key) || []), ...sites]));
+    }
+    this.projectDefinitions = definitions;
+    this.projectCallSites = callSites;
+    this.projectDiagnostics = modules.flatMap(module => module.diagnostics);
+
+    return {
+      entry: modules[modules.length - 1].file,
+      modules,
+      diagnostics: this.projectDiagnostics
+    };
   }
 
-  // Handle 'For' blocks (list rendering)
-  if (type === "For") {
-    extractIdentifiers(node.list); // Track the list variable
-    usedIdentifiers.add(node.item); // Track the loop item variable
-    const innerChildren = children.map(c => generateJSX(c, childIndent + "  ")).join("\n"); // Extra indent for children inside map
-    // Generate a list.map() function for rendering items
-    return `${indent}{${node.list}.map((${node.item}, index) => (\n${childIndent}  <React.Fragment key={typeof ${node.item} === 'object' && ${node.item} !== null && 'id' in ${node.item} ? ${node.item}.id : index}>\n${innerChildren}\n${childIndent}  </React.Fragment>\n${indent}))}`;
+  /**
+   * Look up the definition of a custom component, whether defined in, imported into or declared in the current file
+   */
+  findComponentDefinition(name) {
+    return this.customComponentDefinitions.get(name) ?? this.importedComponents.get(name) ?? this.declaredComponents.get(name);
   }
 
-  // Handle standard elements
-  const jsxTag = tagMap[type] || type; // Translate UIX tag to HTML tag or use as-is
-  const propStr = renderProps(props); // Get the string of JSX attributes
+  /**
+   * Record a diagnostic for the current compilation and log it unless the compiler is silent.
+   * `details.loc` points the diagnostic at the offending source and adds a code frame to the log.
+   */
+  report(severity, code, message, details = {}) {
+    const diagnostic = { severity, code, message, file: this.filename, loc: null, ...details };
+    this.diagnostics.push(diagnostic);
 
-  let innerContent = [];
-  // Handle 'text' prop for direct text content within the element
-  if (props?.text !== undefined) {
-    const textValue = props.text;
-    if (typeof textValue === "string" && /^[a-zA-Z_$][a-zA-Z0-9_$.]*$/.test(textValue)) {
-      // If 'text' is an identifier/expression, wrap in curly braces
-      extractIdentifiers(textValue); // Track the identifier
-      innerContent.push(`{${textValue}}`);
+    const text = diagnostic.loc && this.source !== null ? formatDiagnostic(diagnostic, this.source) : message;
+    if (severity === 'error') {
+      this.log('error', `❌ ${text}`);
     } else {
-      // If 'text' is a literal string, use it directly
-      innerContent.push(textValue);
-    }
-  }
-
-  // Add children JSX after the text content
-  innerContent.push(...(children || []).map(c => generateJSX(c, childIndent)));
-
-  const inner = innerContent.filter(Boolean).join("\n"); // Filter out empty strings/nulls and join
-
-  // Determine if it's a self-closing tag or has children/text content
-  if (inner.trim() === "") {
-    return `${indent}<${jsxTag}${propStr ? " " + propStr : ""} />`;
-  } else {
-    return `${indent}<${jsxTag}${propStr ? " " + propStr : ""}>\n${inner}\n${indent}</${jsxTag}>`;
-  }
-}
-
-// Generate the main JSX body from the AST
-const jsxBody = ast.map(node => generateJSX(node)).join("\n");
-
-// Determine which variables should be passed as props to CompiledUI
-// Filter out bound variables (which become state) and their setters
-const propsToInject = Array.from(usedIdentifiers).filter(id => {
-  return !boundVariables.has(id) && !id.startsWith("set") && !Array.from(boundVariables.keys()).some(bv => id === `set${capitalize(bv)}`);
-}).sort(); // Sort for consistent output
-
-// Generate useState hooks for bound variables
-const autoStates = Array.from(boundVariables.entries())
-  .map(([varName, initialValue]) => {
-    // If initialValue is a string that looks like an identifier/expression, use it directly.
-    // Otherwise, stringify it for literal values (e.g., "hello", 123, true).
-    const stateInit = typeof initialValue === 'string' && /^[a-zA-Z_$][a-zA-Z0-9_$.]*$/.test(initialValue)
-      ? initialValue // It's an expression/identifier, use directly (e.g., 'someInitialVar')
-      : JSON.stringify(initialValue); // It's a literal string or other type, stringify (e.g., '"Hello"', '123')
-    return `  const [${varName}, set${capitalize(varName)}] = React.useState(${stateInit});`;
-  })
-  .join("\n");
-
-const propDestructure = propsToInject.join(", ");
-
-// Final React component wrapper
-const output = `// Auto-generated by UIX compiler
-import React from "react";
-
-export default function CompiledUI({ ${propDestructure} }) {
-${autoStates ? autoStates + "\n" : ""}
-  // IMPORTANT: Ensure that any props like 'greet', 'users', 'showMore', 'toggle' are passed down
-  // from the parent component that renders <CompiledUI />.
-  // Example in your App.jsx:
-  // import React from 'react';
-  // import CompiledUI from './CompiledUI.jsx';
-  //
-  // function App() {
-  //   const [users, setUsers] = React.useState([{ id: 1, name: "Alice" }, { id: 2, name: "Bob" }]);
-  //   const greet = () => console.log("Hello!");
-  //   const [showMore, setShowMore] = React.useState(false);
-  //   const toggle = () => setShowMore(!showMore);
-  //
-  //   return (
-  //     <CompiledUI
-  //       users={users}
-  //       greet={greet}
-  //       showMore={showMore}
-  //       toggle={toggle}
-  //     />
-  //   );
-  // }
-  // export default App;
-
-  return (
-    <>
-${jsxBody}
-    </>
-  );
-}
-`;
-
-// Write the compiled JSX to a file
-fs.writeFileSync("src/CompiledUI.jsx", output);
-console.log("✅ Compiled: src/CompiledUI.jsx");
-console.log("--- START OF GENERATED JSX ---");
-console.log(output); // Log the full generated output for debugging
-console.log("--- END OF GENERATED JSX ---");
-console.log("✅ Injected props:", propDestructure || "(none)");
-if (boundVariables.size > 0) {
-  console.log("✅ Injected state for:", Array.from(boundVariables.keys()).join(", "));
+      this.log('warn', `⚠️  ${text}`);
+    }
+    return diagnostic;
+  }
+
+  log(level, message) {
+    if (!this.config.silent) {
+      console[level](message);
+    }
+  }
+
+  /**
+   * Validate usages and generate the React module source for a parsed UIX file. The
+   * module is built as an ESTree syntax tree, kept in `this.program`, and printed; the
+   * printer's source mappings are kept in `this.sourceMappings`.
+   */
+  async processAST(ast) {
+    this.bindCandidates = new Map();
+
+    // Forget the custom components of a previous compilation on this instance
+    this.customComponentDefinitions.clear();
+    this.componentValidators.clear();
+    this.initializeValidators();
+
+    // Imported components are validated with the schema inferred in their own file
+    this.importedComponents.forEach((definition, name) => {
+      this.componentValidators.set(name, new UIXComponentValidator(name, definition.schema));
+    });
+    this.importedNames = (ast.imports || []).flatMap(declaration => declaration.names.map(name => name.value));
+    // A JavaScript component named like a built-in is not validated as the built-in
+    this.importedNames.filter(name => !this.importedComponents.has(name)).forEach(name => this.componentValidators.delete(name));
+    this.declaredComponents.clear();
+    (ast.declaredComponents || []).forEach(declaration => this.processComponentDeclaration(declaration));
+
+    // A second definition of a name is reported and left out, so the first one is used
+    const components = [];
+    for (const compDef of ast.components || []) {
+      if (components.some(other => other.name.value === compDef.name.value)) {
+        this.report('error', 'duplicate-declaration', `'${compDef.name.value}' is already defined in this file`, {
+          loc: compDef.name.loc
+        });
+        continue;
+      }
+      components.push(compDef);
+    }
+
+    // Components imported into or defined in the file shadow the built-ins of the same name
+    const shadowing = new Set([...this.importedNames, ...components.map(compDef => compDef.name.value)]);
+    this.tags = Object.fromEntries(Object.entries(this.builtInTags).filter(([name]) => !shadowing.has(name)));
+
+    // Register every definition first so call sites can be validated in any order
+    for (const compDef of components) {
+      const clash = this.importedNames.includes(compDef.name.value) ? "imported" : this.declaredComponents.has(compDef.name.value) ? "declared" : null;
+      if (clash) {
+        this.report('error', 'duplicate-declaration', `'${compDef.name.value}' is both ${clash} and defined in this file`, {
+          loc: compDef.name.loc
+        });
+      }
+      const definition = this.processComponentDefinition(compDef);
+      await this.pluginManager.executeHook('onComponent', { definition, node: compDef });
+      // A plugin may have replaced the schema
+      this.componentValidators.set(definition.name, new UIXComponentValidator(definition.name, definition.schema));
+    }
+
+    for (const compDef of components) {
+      const { schema, body } = this.customComponentDefinitions.get(compDef.name.value);
+      await this.validateUsages(body, schema);
+    }
+    if (ast.app) {
+      await this.validateUsages(ast.app.body);
+    }
+
+    const componentFunctions = components.map(compDef => this.generateComponentFunction(compDef));
+    // A file that only exports components is a library module without a CompiledUI
+    const isLibrary = !ast.app && components.some(compDef => compDef.exported);
+    const compiledUI = isLibrary ? [] : [this.generateCompiledUI(ast.app)];
+
+    // .uix imports point at the generated module of the imported file; JavaScript
+    // imports are kept. Relative paths of both are rewritten for the location of the output
+    const imports = (ast.imports || []).map(declaration => {
+      const rewritten = this.rewriteImport(declaration.source.value);
+      const specifier = isUixImport(declaration) ? rewritten.replace(/\.uix$/, "") : rewritten;
+      return t.importDeclaration(specifier, { names: declaration.names.map(name => name.value) });
+    });
+    const header = { type: 'Line', value: " Auto-generated by UIX compiler with Props Validation" };
+
+    let program = t.program([
+      t.withComments(t.importDeclaration("react", { defaultName: "React" }), [header]),
+      ...imports,
+      ...componentFunctions,
+      ...compiledUI
+    ]);
+    if (this.config.enableTypeScript) {
+      program = this.generateTypeScriptProgram(program);
+    }
+
+    const { code, mappings } = print(program);
+    this.program = program;
+    this.sourceMappings = mappings;
+    return code;
+  }
+
+  /**
+   * Walk a body and validate the props of every component with a registered validator.
+   * `scopeSchema` holds the schemas of the enclosing component's parameters.
+   */
+  async validateUsages(nodes, scopeSchema = {}) {
+    for (const node of nodes || []) {
+      const reported = this.diagnostics.length;
+      if (node.type && this.componentValidators.has(node.type)) {
+        await this.validateProps(node.type, node.props, node.loc, node.spreads, scopeSchema);
+      }
+      if (node.type === 'Match') {
+        this.validateMatchCases(node, scopeSchema);
+      }
+      const site = node.loc && (this.componentValidators.has(node.type) || isComponentCall(node, this.tags))
+        ? this.recordCallSite(node)
+        : null;
+      const definition = this.findComponentDefinition(node.type);
+      if (definition && !definition.declared) {
+        this.validateSlots(node, definition);
+      }
+      if (isComponentCall(node, this.tags) && !this.componentValidators.has(node.type) && !this.importedNames.includes(node.type)) {
+        this.report('warning', 'undefined-component', `Component '${node.type}' is not defined, declared or imported`, {
+          component: node.type,
+          loc: node.loc
+        });
+      }
+      if (node.type === 'For' && !node.key && readsMemberOf(node.item.value, node.children)) {
+        this.report('warning', 'missing-key', `List over '${printExpression(node.list)}' renders objects without a key; add \`key ${node.item.value}.id\` (or another unique field) to the for header`, {
+          loc: node.loc
+        });
+      }
+      // The items of a list with a known item schema keep it inside the loop
+      const itemSchema = node.type === 'For' && node.list.type === 'identifier'
+        ? scopeSchema[node.list.value]?.constraints.items
+        : null;
+      const childScope = itemSchema ? { ...scopeSchema, [node.item.value]: itemSchema } : scopeSchema;
+      await this.validateUsages(childElements(node), childScope);
+      // Only a call that validated cleanly, children included, makes a good example
+      if (site) site.clean = this.diagnostics.length === reported;
+    }
+  }
+
+  /**
+   * Validate the props passed to a component. Literal values are checked against the
+   * component schema; expressions can only be checked at runtime, so they only
+   * satisfy `required`. `loc` is the location of the element, used for missing props.
+   *
+   * Spreads of object literals are checked like named props, and spreads of a variable
+   * with an object schema in `scopeSchema` are checked field by field. A spread of
+   * unknown shape may provide any prop, so it turns off the check for missing props.
+   */
+  async validateProps(componentName, props, loc = null, spreads = [], scopeSchema = {}) {
+    const validator = this.componentValidators.get(componentName);
+    if (!validator) {
+      this.report('warning', 'unknown-component', `No validator found for component: ${componentName}`, { loc });
+      return props; // Return original props if no validator
+    }
+
+    // Collect the props each spread provides; named props win over spread fields
+    const spreadValues = {};
+    const spreadSchemas = {};
+    let unknownSpread = false;
+    for (const { argument, loc: spreadLoc } of spreads) {
+      const schema = argument.type === 'identifier' ? scopeSchema[argument.value] : null;
+      if (argument.type === 'object') {
+        argument.properties.forEach(property => {
+          spreadValues[property.key] = property.value;
+          delete spreadSchemas[property.key];
+        });
+      } else if (schema?.type === 'object' && schema.constraints.properties) {
+        Object.entries(schema.constraints.properties).forEach(([key, fieldSchema]) => {
+          spreadSchemas[key] = { schema: fieldSchema, source: `${argument.value}.${key}`, loc: spreadLoc };
+          delete spreadValues[key];
+        });
+      } else {
+        unknownSpread = true;
+      }
+    }
+    const allProps = { ...spreadValues, ...props };
+
+    const errors = [];
+    for (const [propName, schema] of Object.entries(validator.propsSchema)) {
+      const value = allProps[propName];
+      const spreadField = value === undefined ? spreadSchemas[propName] : undefined;
+      if (spreadField) {
+        if (!schemaAccepts(schema, spreadField.schema)) {
+          const error = new UIXValidationError(`${propName} must be ${schema.type}, but '${spreadField.source}' is ${spreadField.schema.type}`, propName, undefined, spreadField.loc);
+          errors.push(error);
+        }
+        continue;
+      }
+      if (value === undefined && unknownSpread) continue;
+      if (value !== undefined && !isLiteral(value)) continue;
+
+      const plainValue = value === undefined ? undefined : literalValue(value);
+      try {
+        schema.validate(plainValue, propName);
+      } catch (error) {
+        if (!(error instanceof UIXValidationError)) throw error;
+        error.loc = value?.loc ?? loc;
+        errors.push(error);
+      }
+    }
+
+    // A component with a `...rest` parameter takes any other prop
+    const acceptsAnyProp = Boolean(this.findComponentDefinition(componentName)?.rest);
+    for (const propName of acceptsAnyProp ? [] : Object.keys(props || {})) {
+      if (!validator.propsSchema.hasOwnProperty(propName)) {
+        this.report('warning', 'unknown-prop', `Unknown prop '${propName}' passed to component '${componentName}'`, {
+          component: componentName,
+          loc: props[propName]?.loc ?? loc
+        });
+      }
+    }
+    const spreadProps = [...Object.keys(spreadValues), ...Object.keys(spreadSchemas)];
+    for (const propName of acceptsAnyProp ? [] : spreadProps) {
+      if (!validator.propsSchema.hasOwnProperty(propName) && !props?.hasOwnProperty(propName)) {
+        const source = spreadSchemas[propName]?.source;
+        this.report('warning', 'unknown-prop', `Unknown prop '${propName}' passed to component '${componentName}'${source ? ` by spreading '${source.split(".")[0]}'` : ""}`, {
+          component: componentName,
+          loc: spreadValues[propName]?.loc ?? spreadSchemas[propName]?.loc ?? loc
+        });
+      }
+    }
+
+    for (const error of errors) {
+      await this.pluginManager.executeHook('onPropError', {
+        type: 'validation_error',
+        componentName,
+        props,
+        error
+      });
+
+      const diagnostic = this.report('error', 'invalid-prop', `Validation error in ${componentName}: ${error.message}`, {
+        component: componentName,
+        prop: error.field,
+        loc: error.loc
+      });
+      if (this.config.strictValidation) {
+        throw new UIXCompilationError(`UIX Compilation failed: ${diagnostic.message}`, diagnostic);
+      }
+      this.log('warn', `⚠️  Continuing compilation despite validation error in ${componentName}`);
+    }
+
+    return props; // Return original AST props for further processing
+  }
+
+  /**
+   * Remember where a component is used, with its source, as a usage example for the docs.
+   * Returns the recorded site, or null when the source is not available.
+   */
+  recordCallSite(node) {
+    if (this.source === null) return null;
+    const site = { file: this.filename, line: node.loc.start.line, code: callSiteSnippet(this.source, node.loc), clean: true };
+    const key = this.findComponentDefinition(node.type) ?? node.type;
+    this.callSites.set(key, [...(this.callSites.get(key) || []), site]);
+    return site;
+  }
+
+  /**
+   * Check that the children and named slot content of a component call have a slot
+   * to go into; anything else would be silently dropped
+   */
+  validateSlots(node, definition) {
+    const children = node.children || [];
+    const slotContent = children.filter(c => isSlotContent(c, node, this.tags));
+
+    if (children.length > slotContent.length && !definition.slots.includes("children")) {
+      this.report('warning', 'unused-children', `${node.type} has no \`slot\`, so the children passed to it are not rendered`, {
+        component: node.type,
+        loc: node.loc
+      });
+    }
+    slotContent.filter(slot => !definition.slots.includes(slot.name.value)).forEach(slot => {
+      this.report('warning', 'unknown-slot', `${node.type} has no slot named '${slot.name.value}'`, {
+        component: node.type,
+        loc: slot.name.loc
+      });
+    });
+  }
+
+  /**
+   * Warn about `case` values that a parameter with an enum schema can never take
+   */
+  validateMatchCases(node, scopeSchema) {
+    if (node.subject.type !== 'identifier') return;
+    const schema = scopeSchema[node.subject.value];
+    if (!schema || schema.type !== 'enum') return;
+
+    const { values } = schema.constraints;
+    for (const matchCase of node.cases) {
+      for (const value of matchCase.values) {
+        if (isLiteral(value) && !values.includes(literalValue(value))) {
+          this.report('warning', 'unknown-case', `Case value ${printExpression(value)} is not one of the values of '${node.subject.value}': ${values.join(', ')}`, {
+            loc: value.loc
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Record a custom component definition and register a validator built from its inferred schema
+   */
+  processComponentDefinition(compDef) {
+    const componentName = compDef.name.value;
+    const componentParams = compDef.params.map(p => p.value);
+
+    const inferredTypes = this.inferParameterTypes(compDef);
+    const inferredSchema = this.inferValidationSchema(compDef, inferredTypes);
+
+    // Each event the body emits is an optional callback prop: emit("change") calls onChange
+    const eventProps = emittedEvents(compDef.body)
+      .map(event => `on${capitalize(event)}`)
+      .filter(prop => !componentParams.includes(prop));
+    eventProps.forEach(prop => {
+      inferredTypes[prop] = 'function';
+      inferredSchema[prop] = UIXSchema.optional(UIXSchema.function());
+    });
+
+    // `slot` renders the children prop; a named slot is a render prop the caller fills
+    const slots = slotProps(compDef.body, null, this.tags);
+    const slotParams = slots.filter(prop => !componentParams.includes(prop) && !eventProps.includes(prop));
+    slotParams.forEach(prop => {
+      inferredTypes[prop] = prop === "children" ? 'any' : 'function';
+      inferredSchema[prop] = UIXSchema.optional(prop === "children" ? UIXSchema.any() : UIXSchema.function());
+    });
+
+    // A literal default has to satisfy the parameter's own schema
+    compDef.params.filter(p => p.defaultValue && isLiteral(p.defaultValue)).forEach(p => {
+      try {
+        inferredSchema[p.value].validate(literalValue(p.defaultValue), p.value);
+      } catch (error) {
+        if (!(error instanceof UIXValidationError)) throw error;
+        this.report('error', 'invalid-default', `Invalid default value in ${componentName}: ${error.message}`, {
+          component: componentName,
+          prop: p.value,
+          loc: p.defaultValue.loc
+        });
+      }
+    });
+
+    const definition = {
+      name: componentName,
+      params: [...componentParams, ...eventProps, ...slotParams],
+      rest: compDef.rest?.value ?? null,
+      slots,
+      events: eventProps,
+      defaults: Object.fromEntries(compDef.params.filter(p => p.defaultValue).map(p => [p.value, printExpression(p.defaultValue)])),
+      exported: Boolean(compDef.exported),
+      file: this.filename,
+      state: (compDef.declarations || []).filter(d => d.type === "State").map(d => d.name.value),
+      body: this.forwardRestProps(compDef),
+      doc: compDef.doc || null,
+      inferredTypes,
+      schema: inferredSchema
+    };
+    this.customComponentDefinitions.set(componentName, definition);
+    this.componentValidators.set(componentName, new UIXComponentValidator(componentName, inferredSchema));
+
+    return definition;
+  }
+
+  /**
+   * Record a `declare component` declaration. Its parameters become the schema that
+   * validates call sites; no code is generated for it.
+   */
+  processComponentDeclaration(declaration) {
+    const componentName = declaration.name.value;
+    const compDef = { ...declaration, body: [], declarations: [] };
+    const inferredTypes = this.inferParameterTypes(compDef);
+    const schema = this.inferValidationSchema(compDef, inferredTypes);
+
+    const definition = {
+      name: componentName,
+      params: declaration.params.map(p => p.value),
+      rest: declaration.rest?.value ?? null,
+      slots: [],
+      declared: true,
+      doc: declaration.doc || null,
+      inferredTypes,
+      schema
+    };
+    this.declaredComponents.set(componentName, definition);
+    this.componentValidators.set(componentName, new UIXComponentValidator(componentName, schema));
+    return definition;
+  }
+
+  /**
+   * Infer a type name for every parameter from how the component body uses it
+   */
+  inferParameterTypes(compDef) {
+    const types = {};
+    compDef.params.forEach(p => {
+      // A declared type always wins over inference
+      if (p.typeAnnotation) {
+        types[p.value] = typeToSchema(p.typeAnnotation).type;
+        return;
+      }
+
+      const usage = this.analyzeParameterUsage(p.value, compDef.body, compDef.declarations) || {};
+      if (usage.propSchema) types[p.value] = usage.propSchema.type;
+      else if (usage.usedAsFunction) types[p.value] = 'function';
+      else if (usage.usedAsArray) types[p.value] = 'array';
+      else if (usage.usedAsObject) types[p.value] = 'object';
+      else if (usage.usedAsNumber) types[p.value] = 'number';
+      else if (usage.usedAsBoolean) types[p.value] = 'boolean';
+      else if (usage.usedAsText) types[p.value] = 'string';
+      else if (p.defaultValue && isLiteral(p.defaultValue)) types[p.value] = literalType(literalValue(p.defaultValue));
+      else types[p.value] = 'any';
+    });
+    return types;
+  }
+
+  /**
+   * Turn declared and inferred parameter types into a props schema for the component validator.
+   * Parameters with a default value or a `?` are optional.
+   */
+  inferValidationSchema(compDef, inferredTypes = this.inferParameterTypes(compDef)) {
+    const schema = {};
+    compDef.params.forEach(p => {
+      const param = p.value;
+      schema[param] = p.typeAnnotation
+        ? typeToSchema(p.typeAnnotation)
+        : this.inferParameterSchema(compDef, param, inferredTypes[param]);
+
+      if (p.defaultValue || p.optional) {
+        const defaultValue = p.defaultValue && isLiteral(p.defaultValue) ? literalValue(p.defaultValue) : undefined;
+        schema[param] = UIXSchema.optional(schema[param], defaultValue);
+      }
+    });
+    return schema;
+  }
+
+  /**
+   * Build the schema of an untyped parameter from its inferred type and usage
+   */
+  inferParameterSchema(compDef, param, inferredType) {
+    const usage = this.analyzeParameterUsage(param, compDef.body, compDef.declarations) || {};
+    let schema;
+
+    switch (inferredType) {
+      case 'string':
+        schema = UIXSchema.string({ required: true });
+        break;
+      case 'number':
+        schema = UIXSchema.number({ required: true });
+        break;
+      case 'boolean':
+        schema = UIXSchema.boolean({ required: true });
+        break;
+      case 'array':
+        schema = UIXSchema.array({ required: true, items: UIXSchema.any() });
+        break;
+      case 'function':
+        schema = UIXSchema.function({ required: true });
+        break;
+      case 'object':
+        schema = UIXSchema.object({ required: true });
+        break;
+      default:
+        schema = UIXSchema.any({ required: true });
+    }
+
+    // A parameter passed straight to a typed prop takes on that prop's schema
+    if (usage.propSchema) {
+      schema = usage.propSchema;
+    }
+
+    // Parameters only read inside `if` conditions may be left out by the caller
+    if (usage.conditionalUsage) {
+      schema = UIXSchema.optional(schema);
+    }
+    return schema;
+  }
+
+  /**
+   * Analyze how a parameter is used within a component body and its declarations
+   */
+  analyzeParameterUsage(param, body, declarations = []) {
+    const usage = {
+      usedAsText: false,
+      usedAsNumber: false,
+      usedAsBoolean: false,
+      usedAsArray: false,
+      usedAsFunction: false,
+      usedAsObject: false,
+      conditionalUsage: false,
+      propSchema: null
+    };
+
+    const analyzeExpression = (expression, key, componentName) => {
+      if (isReferenceTo(expression, param)) {
+        // Direct parameter usage
+        const propSchema = this.componentValidators.get(componentName)?.getPropSchema(key);
+        if (propSchema && propSchema.type !== 'any' && !usage.propSchema) {
+          usage.propSchema = propSchema;
+        }
+        if (key === 'text') usage.usedAsText = true;
+        if (key.startsWith('on')) usage.usedAsFunction = true;
+        if (key === 'disabled' || key === 'required') usage.usedAsBoolean = true;
+        return;
+      }
+
+      // Parameter used in expressions: look at the operation applied to it
+      walkExpression(expression, (node, parent) => {
+        if (!parent || !isReferenceTo(node, param)) return;
+
+        if (parent.type === 'member' && parent.object === node && !parent.computed) {
+          const member = parent.property.value;
+          if (member === 'map' || member === 'length') usage.usedAsArray = true;
+          if (member === 'toUpperCase' || member === 'toLowerCase') usage.usedAsText = true;
+        } else if (parent.type === 'call' && parent.callee === node) {
+          usage.usedAsFunction = true;
+        } else if ((parent.type === 'binary' && ['-', '*', '/', '%'].includes(parent.operator)) ||
+                   (parent.type === 'unary' && parent.operator === '-')) {
+          usage.usedAsNumber = true;
+        } else if (parent.type === 'unary' && parent.operator === '!') {
+          usage.usedAsBoolean = true;
+        }
+      });
+    };
+
+    const analyzeNode = (node) => {
+      if (!node) return;
+
+      Object.entries(node.props || {}).forEach(([key, value]) => analyzeExpression(value, key, node.type));
+      (node.spreads || []).forEach(spread => {
+        if (isReferenceTo(spread.argument, param)) usage.usedAsObject = true;
+        else analyzeExpression(spread.argument, '');
+      });
+
+      if (node.type === 'If') {
+        analyzeExpression(node.condition, 'condition');
+        if (freeIdentifiers(node.condition).includes(param)) {
+          usage.conditionalUsage = true;
+        }
+      }
+
+      // Matching on string cases implies a string
+      if (node.type === 'Match' && isReferenceTo(node.subject, param) &&
+          node.cases.every(matchCase => matchCase.values.every(value => value.type === 'string'))) {
+        usage.usedAsText = true;
+      }
+
+      // Check for array usage in For loops
+      if (node.type === 'For' && isReferenceTo(node.list, param)) {
+        usage.usedAsArray = true;
+      }
+
+      childElements(node).forEach(analyzeNode);
+    };
+
+    (declarations || []).forEach(declaration => analyzeExpression(declaration.initial ?? declaration.value, ''));
+    (body || []).forEach(analyzeNode);
+    return usage;
+  }
+
+  /**
+   * Generate a function component for a custom component definition
+   */
+  generateComponentFunction(compDef) {
+    const componentName = compDef.name.value;
+    const { params, rest, body } = this.customComponentDefinitions.get(componentName);
+    const scope = new Set([...this.importedNames, ...params, ...(rest ? [rest] : [])]);
+    const context = { scope, state: new Set(), free: new Map(), component: componentName };
+
+    // Parameter defaults become destructuring defaults
+    const defaults = new Map(compDef.params.filter(p => p.defaultValue).map(p => [p.value, p.defaultValue]));
+    defaults.forEach(value => this.trackIdentifiers(value, context));
+    const signature = params.map(name => defaults.has(name)
+      ? { name, defaultValue: t.fromExpression(defaults.get(name)) }
+      : name);
+
+    const hooks = this.generateDeclarations(compDef.declarations, context);
+    const jsx = this.generateBody(body, context);
+    const { free } = context;
+    free.forEach((loc, identifier) => {
+      this.report('warning', 'unknown-identifier', `Unknown identifier '${identifier}' in component '${componentName}'`, {
+        component: componentName,
+        loc
+      });
+    });
+
+    const fn = t.functionDeclaration(componentName, destructureProps(signature, rest), [...hooks, t.returnStatement(jsx)], compDef.loc);
+    return t.withComments(compDef.exported ? t.exportNamed(fn, compDef.loc) : fn, [
+      { type: 'Line', value: ` ${componentName} expects props: ${params.join(", ") || "(none)"}` },
+      ...(compDef.doc ? [docComment(compDef.doc)] : [])
+    ]);
+  }
+
+  /**
+   * Generate the default-exported CompiledUI component from the App element.
+   * Identifiers the App body reads but does not define become props.
+   */
+  generateCompiledUI(app) {
+    const context = { scope: new Set(this.importedNames), state: new Set(), free: new Map() };
+    const hooks = app ? this.generateDeclarations(app.declarations, context) : [];
+    const jsx = this.generateBody(app?.body, context);
+
+    const stateNames = Array.from(this.bindCandidates.keys());
+    this.injectedProps = Array.from(context.free.keys())
+      .filter(id => !this.bindCandidates.has(id) && !stateNames.some(name => id === `set${capitalize(name)}`))
+      .sort(); // Sort for consistent output
+    this.appState = [...context.state, ...stateNames];
+
+    const autoStates = Array.from(this.bindCandidates.entries())
+      .map(([varName, initialValue]) => stateHook(varName, initialValue, this.config.enableTypeScript));
+
+    // Lists are the only props whose type is known from the App body
+    const iterated = app ? iteratedVariables(app.body) : [];
+    this.injectedPropTypes = Object.fromEntries(this.injectedProps.map(prop => [prop, iterated.includes(prop) ? "array" : "any"]));
+
+    const statements = [...hooks, ...autoStates, t.returnStatement(jsx)];
+    return t.exportDefault(t.functionDeclaration("CompiledUI", destructureProps(this.injectedProps), statements, app?.loc), app?.loc);
+  }
+
+  /**
+   * Forward a `...rest` parameter the body does not use itself to the root element, when
+   * that is a built-in (HTML) element. Returns the body to validate and generate.
+   */
+  forwardRestProps(compDef) {
+    const { body, declarations } = compDef;
+    const rest = compDef.rest?.value;
+    if (!rest) return body;
+
+    // A body that spreads (or otherwise reads) the rest props decides where they go
+    const expressions = (declarations || []).map(d => d.initial ?? d.value ?? d.body);
+    const collect = node => {
+      expressions.push(...elementExpressions(node));
+      childElements(node).forEach(collect);
+    };
+    body.forEach(collect);
+    if (expressions.some(expression => freeIdentifiers(expression).includes(rest))) return body;
+
+    const root = body.length === 1 ? body[0] : null;
+    if (!root || !this.tags.hasOwnProperty(root.type)) {
+      this.report('warning', 'unused-rest', `'...${rest}' is not forwarded: ${compDef.name.value} has no single built-in root element, so spread it explicitly, e.g. \`Card(...${rest})\``, {
+        component: compDef.name.value,
+        loc: compDef.rest.loc
+      });
+      return body;
+    }
+    const spread = { type: 'spread', argument: { type: 'identifier', value: rest, loc: compDef.rest.loc }, loc: compDef.rest.loc };
+    return [{ ...root, spreads: [spread, ...(root.spreads || [])] }];
+  }
+
+  /**
+   * Generate the hook calls for the declarations of a component or App body. Declared
+   * names (and state setters) are added to the scope before anything else is generated,
+   * so they are never mistaken for props.
+   */
+  generateDeclarations(declarations, context) {
+    const values = [];
+    const effects = [];
+
+    for (const declaration of declarations || []) {
+      // Effects go last so that their dependency lists can name any value of the body
+      if (declaration.type === "Effect") {
+        effects.push(declaration);
+        continue;
+      }
+
+      const name = declaration.name.value;
+      if (context.scope.has(name)) {
+        this.report('error', 'duplicate-declaration', `'${name}' is already declared in this component`, {
+          loc: declaration.name.loc
+        });
+        continue;
+      }
+      context.scope.add(name);
+      if (declaration.type === "State") {
+        context.scope.add(`set${capitalize(name)}`);
+        context.state.add(name);
+      }
+      values.push(declaration);
+    }
+
+    // Hooks run in source order, so a value may only read the values declared before it
+    const pending = new Set(values.map(declaration => declaration.name.value));
+    const hooks = values.map(declaration => {
+      const name = declaration.name.value;
+      const value = declaration.type === "State" ? declaration.initial : this.compileHandlers(declaration.value, context);
+      this.trackIdentifiers(value, context);
+      for (const reference of freeIdentifierReferences(value).filter(reference => pending.has(reference.name))) {
+        this.report('error', 'use-before-declaration', `'${reference.name}' is used before it is declared`, {
+          loc: reference.loc
+        });
+      }
+      pending.delete(name);
+
+      if (declaration.type === "State") {
+        return stateHook(name, value, this.config.enableTypeScript, declaration.loc);
+      }
+      // Setters from useState never change, so they are left out of the dependencies
+      const setters = new Set([...context.state].map(stateName => `set${capitalize(stateName)}`));
+      const deps = freeIdentifiers(value).filter(id => !knownGlobals.has(id) && !setters.has(id));
+      return derivedValue(name, value, deps, declaration.loc);
+    });
+
+    return [...hooks, ...effects.map(effect => this.generateEffect(effect, context))];
+  }
+
+  /**
+   * Generate a useEffect call for an `effect`, `onMount` or `onCleanup` block. The
+   * `onCleanup` blocks of an effect become the cleanup function it returns.
+   */
+  generateEffect(effect, context) {
+    const statements = effect.body.statements;
+    const cleanupStatements = effect.kind === "cleanup"
+      ? statements
+      : statements.filter(s => s.type === 'cleanup').flatMap(s => s.body.statements);
+
+    // Compile the statements like a handler body so state assignments become setter calls
+    const compile = body => {
+      const handler = { type: 'arrow', params: [], body: { type: 'block', statements: body, loc: effect.body.loc }, loc: effect.loc };
+      const compiled = this.compileHandlers(handler, context).body;
+      return compiled.type === 'block' ? compiled.statements : [compiled];
+    };
+    const setup = effect.kind === "cleanup" ? [] : compile(statements.filter(s => s.type !== 'cleanup'));
+    const cleanup = cleanupStatements.length ? compile(cleanupStatements) : [];
+
+    // The cleanup function closes over the locals of the setup code
+    this.trackIdentifiers({ type: 'block', statements: [...setup, ...cleanup] }, context);
+    (effect.deps || []).forEach(dep => this.trackIdentifiers(dep, context));
+
+    const body = setup.map(t.fromStatement);
+    if (cleanup.length) {
+      body.push(t.returnStatement(t.arrowFunction([], t.blockStatement(cleanup.map(t.fromStatement)))));
+    }
+    const deps = effect.deps ? [t.arrayExpression(effect.deps.map(dep => t.fromExpression(dep)))] : [];
+    return t.expressionStatement(hookCall("useEffect", [t.arrowFunction([], t.blockStatement(body), effect.loc), ...deps]));
+  }
+
+  /**
+   * Generate the JSX expression for a list of elements, wrapping siblings and bare
+   * `{...}` expression containers in a fragment. An empty list renders `null`.
+   */
+  generateBody(nodes, context) {
+    if (!nodes || nodes.length === 0) return t.literal(null);
+    if (nodes.length === 1 && !["If", "For", "Match", "Slot"].includes(nodes[0].type)) {
+      return this.generateJSX(nodes[0], context);
+    }
+    return t.jsxFragment(nodes.map(node => this.generateJSX(node, context)));
+  }
+
+  /**
+   * Record the identifiers an expression reads that are not bound in the current scope,
+   * keeping the location of the first read of each
+   */
+  trackIdentifiers(value, context) {
+    for (const { name, loc } of freeIdentifierReferences(value)) {
+      if (!context.scope.has(name) && !knownGlobals.has(name) && !context.free.has(name)) {
+        context.free.set(name, loc);
+      }
+    }
+  }
+
+  /**
+   * Generate JSX for a single element, `if` or `for` node. Control-flow blocks become
+   * expression containers, so the result is always usable as a JSX child.
+   */
+  generateJSX(node, context) {
+    const { type, props, children } = node;
+
+    // Handle 'If' blocks (conditional rendering); else-if chains become nested ternaries
+    if (type === "If") {
+      const branches = [];
+      let branch = node;
+      for (;;) {
+        this.trackIdentifiers(branch.condition, context);
+        branches.push([t.fromExpression(branch.condition), this.generateBody(branch.children, context)]);
+
+        const alternate = branch.alternate;
+        if (alternate && alternate.length === 1 && alternate[0].type === "If") {
+          branch = alternate[0];
+          continue;
+        }
+        const otherwise = alternate ? this.generateBody(alternate, context) : t.literal(null);
+        const ternary = branches.reduceRight((rest, [test, consequent]) => t.conditionalExpression(test, consequent, rest), otherwise);
+        return t.jsxExpressionContainer(ternary, node.loc);
+      }
+    }
+
+    // Handle 'Match' blocks: one branch per case, chosen by strict equality
+    if (type === "Match") {
+      this.trackIdentifiers(node.subject, context);
+      node.cases.forEach(matchCase => matchCase.values.forEach(value => this.trackIdentifiers(value, context)));
+      const match = isSimpleReference(node.subject)
+        ? this.generateMatchTernary(node, context)
+        : this.generateMatchSwitch(node, context);
+      return t.jsxExpressionContainer(match, node.loc);
+    }
+
+    // Handle 'For' blocks (list rendering)
+    if (type === "For") {
+      return t.jsxExpressionContainer(this.generateLoop(node, context), node.loc);
+    }
+
+    if (type === "Slot") {
+      return this.generateSlot(node, context);
+    }
+
+    // Handle standard elements
+    // `tags` leaves out the built-ins that a component of the file shadows
+    const isBuiltIn = this.tags.hasOwnProperty(type);
+    const jsxTag = isBuiltIn ? this.tags[type] : type; // Translate UIX tag to HTML tag or use as-is
+    const attributes = [];
+    const innerContent = [];
+
+    // Spreads come first so that named props override the fields they provide
+    for (const { argument } of node.spreads || []) {
+      this.trackIdentifiers(argument, context);
+      attributes.push(t.jsxSpreadAttribute(t.fromExpression(argument), argument.loc));
+    }
+
+    for (const [key, propValue] of Object.entries(props || {})) {
+      const value = this.compileHandlers(propValue, context);
+
+      // Built-in elements render 'text' as their content rather than as an attribute
+      if (isBuiltIn && key === "text") {
+        this.trackIdentifiers(value, context);
+        const isStaticText = value.type === 'string' || value.type === 'number';
+        innerContent.push(isStaticText
+          ? t.jsxText(String(value.value), propValue.loc)
+          : t.jsxExpressionContainer(t.fromExpression(value), propValue.loc));
+        continue;
+      }
+
+      if (key === "bind" && !isLiteral(value)) {
+        if (value.type === 'identifier') {
+          const varName = value.value;
+          // Declared state is bound as is; anything else gets state generated for it
+          if (!context.state?.has(varName)) {
+            this.bindCandidates.set(varName, props.initial ?? { type: 'string', value: "" });
+          }
+          const event = t.identifier("e");
+          const setter = t.callExpression(t.identifier(`set${capitalize(varName)}`), [
+            t.memberExpression(t.memberExpression(event, "target"), "value")
+          ]);
+          attributes.push(
+            t.jsxAttribute("value", t.fromExpression(value), propValue.loc),
+            t.jsxAttribute("onChange", t.arrowFunction([event], setter))
+          );
+          continue;
+        }
+        this.report('warning', 'invalid-bind', `'bind' prop requires a simple identifier. Found: '${printExpression(value)}'. This input might be uncontrolled.`, {
+          loc: value.loc
+        });
+        this.trackIdentifiers(value, context);
+        attributes.push(t.jsxAttribute("value", t.fromExpression(value), propValue.loc));
+        continue;
+      }
+      if (key === "initial" && props.bind) continue;
+
+      this.trackIdentifiers(value, context);
+      attributes.push(t.jsxAttribute(key, t.fromExpression(value), propValue.loc));
+    }
+
+    // Content for named slots is passed as render props; everything else is children
+    const slotContent = (children || []).filter(c => isSlotContent(c, node, this.tags));
+    slotContent.forEach(slot => {
+      attributes.push(t.jsxAttribute(slot.name.value, t.arrowFunction([], this.generateBody(slot.children, context)), slot.loc));
+    });
+
+    const childContent = (children || [])
+      .filter(c => !slotContent.includes(c))
+      .map(c => this.generateJSX(c, context));
+    return t.jsxElement(jsxTag, attributes, [...innerContent, ...childContent], node.loc);
+  }
+
+  /**
+   * Generate the outlet of a `slot` element: `{children}` for the default slot and a
+   * call of the render prop for a named one. A block after the slot is the fallback
+   * content rendered when the caller passes nothing.
+   */
+  generateSlot(node, context) {
+    if (!context.component) {
+      this.report('error', 'invalid-slot', '`slot` can only be used inside a component definition', {
+        loc: node.loc
+      });
+      return t.jsxExpressionContainer(t.literal(null));
+    }
+
+    const prop = t.identifier(node.name ? node.name.value : "children", node.name?.loc);
+    const render = t.callExpression(prop, []);
+    if (!node.children || node.children.length === 0) {
+      return t.jsxExpressionContainer(node.name ? t.callExpression(prop, [], { optional: true }) : prop, node.loc);
+    }
+    const fallback = this.generateBody(node.children, context);
+    return t.jsxExpressionContainer(node.name
+      ? t.conditionalExpression(prop, render, fallback)
+      : t.logicalExpression("??", prop, fallback), node.loc);
+  }
+
+  /**
+   * Compile the handler actions inside a prop value: `emit("change", value)` calls the
+   * onChange prop, and assignments to state become setter calls
+   */
+  compileHandlers(value, context) {
+    return mapExpression(value, node => {
+      if (node.type === 'cleanup') {
+        this.report('error', 'invalid-cleanup', '`onCleanup` can only be used directly inside an `effect` or `onMount` block', {
+          loc: node.loc
+        });
+        return node.body;
+      }
+      if (node.type === 'call' && isReferenceTo(node.callee, 'emit')) {
+        return this.compileEmit(node);
+      }
+      if (node.type === 'arrow') {
+        return this.compileAssignments(node, context);
+      }
+      return node;
+    });
+  }
+
+  compileEmit(node) {
+    const [event, ...args] = node.arguments;
+    if (emittedEvent(node) === null) {
+      this.report('error', 'invalid-emit', 'emit() needs the event name as a string literal, e.g. emit("change", value)', {
+        loc: node.loc
+      });
+      return node;
+    }
+    const callback = { type: 'identifier', value: `on${capitalize(event.value)}`, loc: event.loc };
+    return { type: 'call', callee: callback, arguments: args, optional: true, loc: node.loc };
+  }
+
+  /**
+   * Turn the assignments in a handler into state setter calls. The setter takes an updater
+   * function whenever the new value reads the old one, so no update is lost. When a later
+   * statement of the handler reads the state again, the new value is also kept in a local
+   * so that statement sees it; updaters have to be pure, so computing it twice is safe.
+   */
+  compileAssignments(arrow, context) {
+    const statements = arrow.body.type === 'block' ? arrow.body.statements : [arrow.body];
+    if (!statements.some(statement => statement.type === 'assignment')) return arrow;
+
+    const params = new Set(arrow.params.map(param => param.value));
+    const locals = new Map(); // State name -> identifier holding its new value
+    const usedNames = new Set();
+    const identifier = (name, loc = null) => ({ type: 'identifier', value: name, loc });
+    // `except` is the state an updater receives, which already has the earlier assignments applied
+    const withLocals = (node, except = null) => mapExpression(node, current =>
+      current.type === 'identifier' && current.value !== except && locals.has(current.value) ? { ...locals.get(current.value), loc: current.loc } : current);
+
+    const output = [];
+    statements.forEach((statement, index) => {
+      if (statement.type !== 'assignment') {
+        output.push(withLocals(statement));
+        return;
+      }
+
+      const { target } = statement;
+      const isState = name => context.state?.has(name) && !params.has(name);
+
+      // Properties of anything but state (`document.title`, `ref.current`) are set directly
+      if (target.type === 'member') {
+        let root = target;
+        while (root.type === 'member') root = root.object;
+        if (root.type === 'identifier' && isState(root.value)) {
+          this.report('error', 'invalid-assignment', `Cannot assign to '${printExpression(target)}': state is never mutated, assign a new value to '${root.value}' instead`, {
+            loc: target.loc
+          });
+        } else {
+          output.push(withLocals(statement));
+        }
+        return;
+      }
+
+      const name = target.type === 'identifier' ? target.value : null;
+      if (!name || !isState(name)) {
+        this.report('error', 'invalid-assignment', `Cannot assign to '${printExpression(target)}': only state declared with \`state\` can be assigned`, {
+          loc: target.loc
+        });
+        return;
+      }
+
+      const value = statement.operator === "="
+        ? statement.value
+        : { type: 'binary', operator: statement.operator.slice(0, -1), left: target, right: statement.value, loc: statement.loc };
+      const setter = identifier(`set${capitalize(name)}`);
+      const updater = freeIdentifiers(value).includes(name)
+        ? { type: 'arrow', params: [identifier(name)], body: withLocals(value, name), loc: statement.loc }
+        : null;
+
+      const readLater = isReadAfter(statements, index, name);
+      if (readLater) {
+        let local = `next${capitalize(name)}`;
+        for (let n = 2; context.scope.has(local) || usedNames.has(local); n++) {
+          local = `next${capitalize(name)}${n}`;
+        }
+        usedNames.add(local);
+        output.push(
+          { type: 'variable', kind: 'const', name: identifier(local), value: withLocals(value), loc: statement.loc },
+          { type: 'call', callee: setter, arguments: [updater ?? identifier(local)], optional: false, loc: statement.loc }
+        );
+        locals.set(name, identifier(local));
+      } else {
+        output.push({ type: 'call', callee: setter, arguments: [updater ?? withLocals(value)], optional: false, loc: statement.loc });
+      }
+    });
+
+    const body = output.length === 1 && output[0].type !== 'variable'
+      ? output[0]
+      : { type: 'block', statements: output, loc: arrow.body.loc };
+    return { ...arrow, body };
+  }
+
+  /**
+   * Generate a for block as a `.map()` call keyed by the loop's `key` expression,
+   * falling back to the index. An `empty` branch renders when the list has no items.
+   */
+  generateLoop(node, context) {
+    this.trackIdentifiers(node.list, context);
+
+    const item = node.item.value;
+    const index = node.index ? node.index.value : "index";
+    const loopScope = new Set([...context.scope, item, ...(node.index ? [index] : [])]);
+    const loopContext = { ...context, scope: loopScope };
+    if (node.key) {
+      this.trackIdentifiers(node.key, loopContext);
+    }
+
+    const callbackParams = [t.identifier(item, node.item.loc), ...(node.key && !node.index ? [] : [t.identifier(index, node.index?.loc)])];
+    const key = node.key ? t.fromExpression(node.key) : t.identifier(index);
+    const inner = (node.children || []).map(c => this.generateJSX(c, loopContext));
+    const fragment = t.jsxElement("React.Fragment", [t.jsxAttribute("key", key)], inner);
+    const mapped = list => t.callExpression(t.memberExpression(list, "map"), [t.arrowFunction(callbackParams, fragment)]);
+
+    if (!node.empty) {
+      return mapped(t.fromExpression(node.list));
+    }
+
+    const emptyBranch = this.generateBody(node.empty, context);
+    const isEmpty = list => t.binaryExpression("===", t.memberExpression(list, "length"), t.literal(0));
+    if (isSimpleReference(node.list)) {
+      const list = t.fromExpression(node.list);
+      return t.conditionalExpression(isEmpty(list), emptyBranch, mapped(list));
+    }
+
+    // Bind a computed list once so it is not evaluated twice
+    const items = t.identifier("__items");
+    const itemsParam = this.config.enableTypeScript ? t.typed(items, typeScriptTypes.array) : items;
+    const render = t.arrowFunction([itemsParam], t.conditionalExpression(isEmpty(items), emptyBranch, mapped(items)));
+    return t.callExpression(render, [t.fromExpression(node.list)]);
+  }
+
+  /**
+   * Generate a match block as a ternary chain over a subject that is safe to re-read
+   */
+  generateMatchTernary(node, context) {
+    const subject = t.fromExpression(node.subject);
+    const branches = node.cases.map(matchCase => {
+      const test = matchCase.values
+        .map(value => t.binaryExpression("===", subject, t.fromExpression(value)))
+        .reduce((left, right) => t.logicalExpression("||", left, right));
+      return [matchCase.values.length > 1 ? t.parenthesized(test) : test, this.generateBody(matchCase.children, context)];
+    });
+    const otherwise = node.fallback ? this.generateBody(node.fallback, context) : t.literal(null);
+    return branches.reduceRight((rest, [test, consequent]) => t.conditionalExpression(test, consequent, rest), otherwise);
+  }
+
+  /**
+   * Generate a match block as a switch inside an IIFE so the subject is evaluated once
+   */
+  generateMatchSwitch(node, context) {
+    const cases = node.cases.flatMap(matchCase => matchCase.values.map((value, index) => {
+      // Cases with several values share the return of the last one
+      const isLast = index === matchCase.values.length - 1;
+      return t.switchCase(t.fromExpression(value), isLast ? [t.returnStatement(this.generateBody(matchCase.children, context))] : []);
+    }));
+    cases.push(t.switchCase(null, [t.returnStatement(this.generateBody(node.fallback, context))]));
+
+    const body = t.blockStatement([t.switchStatement(t.fromExpression(node.subject), cases)]);
+    return t.callExpression(t.arrowFunction([], body), []);
+  }
+
+  /**
+   * Add TypeScript props interfaces for every custom component and type the
+   * generated function signatures with them. Interface fields come from the props
+   * schemas, so enums, unions, lists, object shapes and optional props are kept;
+   * slots are typed as React nodes and render props.
+   */
+  generateTypeScriptOutput(jsxOutput) {
+    if (!this.config.enableTypeScript) return jsxOutput;
+
+    const signature = jsxOutput.match(/export default function CompiledUI\(\{([^}]*)\}\)/);
+    const injected = signature ? signature[1].split(",").map(p => p.trim()).filter(Boolean) : [];
+    const { interfaces, propsTypes } = this.propsInterfaces(injected);
+    if (interfaces.length === 0) return jsxOutput;
+
+    // The destructured signature is on one line and may contain braces of its own
+    let output = jsxOutput;
+    for (const [name, type] of propsTypes) {
+      output = output.replace(new RegExp(`(function ${name}\\(\\{.*\\})\\)`), `$1: ${type})`);
+    }
+
+    // Interfaces go after the imports
+    const lines = output.split("\n");
+    const lastImport = lines.reduce((last, line, index) => line.startsWith("import ") ? index : last, -1);
+    lines.splice(lastImport + 1, 0, "", print(t.program(interfaces)).code.trimEnd());
+    return lines.join("\n");
+  }
+
+  /**
+   * generateTypeScriptOutput for the syntax tree of a generated module, which the
+   * compiler prints afterwards so the source mappings cover the typed code
+   */
+  generateTypeScriptProgram(program) {
+    if (!this.config.enableTypeScript) return program;
+
+    // CompiledUI only has an interface when the App body reads props
+    const compiledUI = program.body.find(statement => statement.type === 'ExportDefaultDeclaration')?.declaration;
+    const injected = compiledUI?.id.name === "CompiledUI" ? (compiledUI.params[0]?.properties ?? []).map(({ key }) => key.name) : [];
+    const { interfaces, propsTypes } = this.propsInterfaces(injected);
+    if (interfaces.length === 0) return program;
+
+    // Type the props parameter of every function with a props interface
+    const annotate = statement => {
+      if (statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') {
+        return { ...statement, declaration: annotate(statement.declaration) };
+      }
+      if (statement.type !== 'FunctionDeclaration' || !propsTypes.has(statement.id.name) || statement.params.length === 0) {
+        return statement;
+      }
+      const [props, ...others] = statement.params;
+      return { ...statement, params: [t.typed(props, t.tsTypeReference(propsTypes.get(statement.id.name))), ...others] };
+    };
+
+    // Interfaces go after the imports
+    const imports = program.body.filter(statement => statement.type === 'ImportDeclaration');
+    const rest = program.body.filter(statement => statement.type !== 'ImportDeclaration').map(annotate);
+    return { ...program, body: [...imports, ...interfaces, ...rest] };
+  }
+
+  // Builds the props interface of every custom component and, given the props the App body
+  // reads, of CompiledUI. `propsTypes` maps the function names to their interface names.
+  propsInterfaces(injected) {
+    const interfaces = [];
+    const propsTypes = new Map();
+
+    for (const [componentName, definition] of this.customComponentDefinitions) {
+      const fields = definition.params.map(param => {
+        const schema = definition.schema?.[param];
+        let type = schema ? schemaToTypeScript(schema) : typeScriptTypes[definition.inferredTypes?.[param]] || typeScriptTypes.any;
+        if (definition.slots?.includes(param)) {
+          const node = t.tsTypeReference("React.ReactNode");
+          type = param === "children" ? node : t.tsFunctionType([], node);
+        }
+        return t.tsPropertySignature(param, type, schema?.required === false);
+      });
+      if (definition.rest) {
+        fields.push(t.tsIndexSignature("prop", t.tsKeyword('string'), t.tsKeyword('any')));
+      }
+      const declaration = t.tsInterfaceDeclaration(`${componentName}Props`, fields);
+      const doc = definition.doc ? [docComment(definition.doc)] : [];
+      interfaces.push(t.withComments(definition.exported ? t.exportNamed(declaration) : declaration, doc));
+      propsTypes.set(componentName, `${componentName}Props`);
+    }
+
+    if (injected.length) {
+      const fields = injected.map(name => t.tsPropertySignature(name, typeScriptTypes[this.injectedPropTypes?.[name]] || typeScriptTypes.any));
+      interfaces.push(t.tsInterfaceDeclaration("CompiledUIProps", fields));
+      propsTypes.set("CompiledUI", "CompiledUIProps");
+    }
+    return { interfaces, propsTypes };
+  }
+
+  /**
+   * Generate Markdown documentation for the built-in and custom components: a props
+   * table per component, its doc comment and a usage example, taken from a call site that
+   * validates or else built from the schema. After compileProject, the components of every
+   * file are documented.
+   */
+  generateDocumentation() {
+    const definitions = this.projectDefinitions ?? Array.from(this.customComponentDefinitions.values());
+    const callSites = this.projectCallSites ?? this.callSites;
+    // A call site that failed validation would document the wrong usage, so a component
+    // that is never called that way gets an example built from its schema instead
+    const usage = (key, componentName, schema) => {
+      const example = (callSites.get(key) || []).find(site => site.clean) ?? { code: schemaUsageExample(componentName, schema) };
+      return [formatUsageExample(example), ""];
+    };
+
+    const lines = ["# UIX Component Documentation", "", "## Built-in Components", ""];
+    const builtIns = { ...this.builtInSchemas, ...this.config.customSchemas };
+    for (const [componentName, schema] of Object.entries(builtIns)) {
+      lines.push(`### ${componentName}`, "");
+      if (this.builtInTags[componentName]) {
+        lines.push(`Renders \`<${this.builtInTags[componentName]}>\`.`, "");
+      }
+      lines.push(formatPropsTable(schema), "", ...usage(componentName, componentName, schema));
+    }
+
+    lines.push("## Custom Components", "");
+    for (const definition of definitions) {
+      const componentName = definition.name;
+      lines.push(`### ${componentName}`, "");
+      if (definition.doc) {
+        lines.push(definition.doc, "");
+      }
+      if (definition.file) {
+        lines.push(`Defined in \`${definition.file}\`${definition.exported ? " and exported" : ""}.`, "");
+      }
+
+      // Definitions registered by hand may only carry inferred type names
+      const schema = definition.schema ?? Object.fromEntries(definition.params.map(param => [param, new UIXSchema(definition.inferredTypes?.[param] || 'any')]));
+      const notes = {};
+      (definition.events || []).forEach(prop => {
+        const event = prop.charAt(2).toLowerCase() + prop.slice(3);
+        notes[prop] = [`called by \`emit("${event}")\``];
+      });
+      (definition.slots || []).forEach(prop => {
+        notes[prop] = [prop === "children" ? "content of `slot`" : `render prop for \`slot ${prop}\``];
+      });
+      lines.push(formatPropsTable(schema, { defaults: definition.defaults, notes }), "");
+      if (definition.rest) {
+        lines.push(`Any other prop is accepted and collected in \`...${definition.rest}\`.`, "");
+      }
+      lines.push(...usage(definition, componentName, schema));
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Summarize the last compilation; after compileProject, the components and diagnostics
+   * of every file are counted
+   */
+  generateReport() {
+    const definitions = this.projectDefinitions ?? Array.from(this.customComponentDefinitions.values());
+    const diagnostics = this.projectDiagnostics ?? this.diagnostics;
+    return {
+      customComponents: definitions.map(definition => definition.name),
+      injectedProps: this.injectedProps,
+      state: this.appState,
+      errors: diagnostics.filter(d => d.severity === 'error').length,
+      warnings: diagnostics.filter(d => d.severity === 'warning').length
+    };
+  }
+
+  printReport() {
+    const report = this.generateReport();
+    this.log('log', "--- COMPILATION REPORT ---");
+    this.log('log', `Custom components: ${report.customComponents.join(", ") || "(none)"}`);
+    this.log('log', `Injected props: ${report.injectedProps.join(", ") || "(none)"}`);
+    if (report.state.length > 0) {
+      this.log('log', `Injected state for: ${report.state.join(", ")}`);
+    }
+    this.log('log', `Errors: ${report.errors}, warnings: ${report.warnings}`);
+    this.log('log', "--- END OF REPORT ---");
+  }
+}
+
+/**
+ * Parse UIX source text, recovering from syntax errors so that all of them are reported at once.
+ * The returned AST leaves out the elements and top-level items that could not be parsed.
+ *
+ * @param {string} source - UIX source code
+ * @param {object} [options] - `filename` (used in locations and diagnostics)
+ * @returns {{ast: object, diagnostics: object[]}}
+ */
+export function parse(source, options = {}) {
+  const { filename = "input.uix" } = options;
+  const { errors = [], ...ast } = parser.parse(source, { grammarSource: filename, recover: true });
+  return { ast, diagnostics: errors.map(error => syntaxErrorToDiagnostic(error, filename)) };
+}
+
+/**
+ * Compile UIX source text in memory.
+ *
+ * @param {string} source - UIX source code
+ * @param {object} [options] - UIXCompilerConfig options plus `filename` (used in diagnostics)
+ *   and `plugins` (objects registered with the plugin manager)
+ * @returns {Promise<{code: string|null, map: object|null, diagnostics: object[], components: object[], meta: object}>}
+ */
+export async function compile(source, options = {}) {
+  const { filename = "input.uix", ...config } = options;
+  const compiler = new UIXSourceCompiler({ silent: true, ...config });
+  return compiler.compileSource(source, filename);
+}
+
+/**
+ * Compile a .uix entry file and the .uix files it imports, each into its own module.
+ *
+ * @param {string} entryFile - Path of the entry file
+ * @param {object} options - UIXCompilerConfig options plus `readFile(file)` (required;
+ *   returns the source of a file) and `plugins`
+ * @returns {Promise<{entry: string, modules: object[], diagnostics: object[]}>}
+ */
+export async function compileProject(entryFile, options = {}) {
+  const { readFile, ...config } = options;
+  const compiler = new UIXSourceCompiler({ silent: true, ...config });
+  return compiler.compileProject(entryFile, readFile);
 }
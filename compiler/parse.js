@@ -1,13 +1,19 @@
 import fs from "fs";
 import chalk from "chalk";
-import * as parser from "./parser.js";
+import { parse } from "./compile.js";
+import { formatDiagnostic } from "./uix-diagnostics.js";
 
-const code = fs.readFileSync("uix/example.uix", "utf-8");
+const inputFile = process.argv[2] || "uix/example.uix";
+const code = fs.readFileSync(inputFile, "utf-8");
 
-try {
-  const ast = parser.parse(code);
+const { ast, diagnostics } = parse(code, { filename: inputFile });
+
+if (diagnostics.length === 0) {
   console.log(chalk.green("✅ Parsed UIX AST:\n"));
-  console.dir(ast, { depth: null });
-} catch (err) {
-  console.error(chalk.red("❌ Parse Error:\n"), err.message);
+} else {
+  console.error(chalk.red(`❌ ${diagnostics.length} parse error(s):\n`));
+  diagnostics.forEach(diagnostic => console.error(formatDiagnostic(diagnostic, code) + "\n"));
+  console.log(chalk.yellow("⚠️  Partial UIX AST:\n"));
+  process.exitCode = 1;
 }
+console.dir(ast, { depth: null });
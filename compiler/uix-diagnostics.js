@@ -0,0 +1,75 @@
+// UIX Diagnostics
+// Formatting of compiler errors and warnings as `file:line:col` messages with code frames
+
+/**
+ * Convert a syntax error thrown by the generated parser into a diagnostic
+ */
+export function syntaxErrorToDiagnostic(error, file = null) {
+  const expected = [];
+  for (const expectation of error.expected || []) {
+    const description = expectation.description ?? JSON.stringify(expectation.text);
+    if (description && !expected.includes(description)) {
+      expected.push(description);
+    }
+  }
+
+  return {
+    severity: 'error',
+    code: 'parse-error',
+    message: error.message,
+    file: file ?? error.location?.source ?? null,
+    loc: error.location,
+    expected,
+    found: error.found ?? null
+  };
+}
+
+/**
+ * Render the source lines around a location, marking the offending span with carets
+ */
+export function formatCodeFrame(source, loc, { linesAbove = 2, linesBelow = 1 } = {}) {
+  const lines = source.split(/\r?\n/);
+  const { start, end } = loc;
+  const first = Math.max(1, start.line - linesAbove);
+  const last = Math.min(lines.length, start.line + linesBelow);
+  const gutterWidth = String(last).length;
+
+  const frame = [];
+  for (let lineNumber = first; lineNumber <= last; lineNumber++) {
+    const line = lines[lineNumber - 1];
+    const isErrorLine = lineNumber === start.line;
+    const gutter = `${isErrorLine ? ">" : " "} ${String(lineNumber).padStart(gutterWidth)} |`;
+    frame.push(`${gutter}${line ? " " + line : ""}`);
+
+    if (isErrorLine) {
+      // Spans that run past the end of the line are underlined to its end
+      const endColumn = end.line === start.line ? end.column : line.length + 1;
+      const width = Math.max(1, endColumn - start.column);
+      // Keep tabs so the carets line up with the source above them
+      const padding = line.slice(0, start.column - 1).replace(/[^\t]/g, " ");
+      frame.push(`  ${" ".repeat(gutterWidth)} | ${padding}${"^".repeat(width)}`);
+    }
+  }
+
+  return frame.join("\n");
+}
+
+/**
+ * Format a diagnostic for the terminal. The source text is optional; without it
+ * (or without a location) only the message line is produced.
+ */
+export function formatDiagnostic(diagnostic, source = null) {
+  const { severity, code, message, file, loc } = diagnostic;
+  const position = loc ? `${file || loc.source || "input"}:${loc.start.line}:${loc.start.column}` : file;
+  const header = `${position ? position + " - " : ""}${severity}${code ? ` [${code}]` : ""}: ${message}`;
+
+  if (!loc || source === null || source === undefined) {
+    return header;
+  }
+
+  const parts = [header, "", formatCodeFrame(source, loc)];
+  if (diagnostic.expected?.length) {
+    parts.push("", `Expected: ${diagnostic.expected.join(", ")}`);
+  }
+  return parts.join("\n");
+}
@@ -0,0 +1,139 @@
+// UIX Documentation
+// Markdown rendering of component props schemas and call sites for ComponentDocs.md
+
+/**
+ * Describe the type of a schema in UIX type syntax, e.g. `list<string>` or `"sm" | "lg"`
+ */
+export function describeType(schema) {
+  const { constraints = {} } = schema;
+  switch (schema.type) {
+    case 'function':
+      return "fn";
+    case 'array':
+      return constraints.items ? `list<${describeType(constraints.items)}>` : "list<any>";
+    case 'object': {
+      if (!constraints.properties) return "object";
+      const fields = Object.entries(constraints.properties)
+        .map(([key, field]) => `${key}${field.required === false ? "?" : ""}: ${describeType(field)}`);
+      return `{ ${fields.join(", ")} }`;
+    }
+    case 'enum':
+      return constraints.values.map(value => JSON.stringify(value)).join(" | ");
+    case 'union':
+      return constraints.schemas.map(describeType).join(" | ");
+    default:
+      return schema.type;
+  }
+}
+
+// Lists the constraints of a schema as short phrases for the notes column
+function describeConstraints(schema) {
+  const { constraints = {} } = schema;
+  const notes = [];
+  if (schema.type === 'enum') {
+    notes.push(`one of ${constraints.values.map(value => `\`${JSON.stringify(value)}\``).join(", ")}`);
+  }
+  if (constraints.minLength !== undefined) notes.push(`at least ${constraints.minLength} characters`);
+  if (constraints.maxLength !== undefined) notes.push(`at most ${constraints.maxLength} characters`);
+  if (constraints.pattern !== undefined) notes.push(`matches \`/${constraints.pattern}/\``);
+  if (constraints.min !== undefined) notes.push(`minimum ${constraints.min}`);
+  if (constraints.max !== undefined) notes.push(`maximum ${constraints.max}`);
+  if (constraints.integer) notes.push("integer");
+  if (constraints.minItems !== undefined) notes.push(`at least ${constraints.minItems} items`);
+  if (constraints.maxItems !== undefined) notes.push(`at most ${constraints.maxItems} items`);
+  return notes;
+}
+
+// Keeps text from breaking out of a Markdown table cell
+function tableCell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+/**
+ * Render a Markdown table of the props of a component.
+ *
+ * @param {object} propsSchema - Schema of every prop, by name
+ * @param {object} [options] - `defaults` maps props to the source of their default value
+ *   (for defaults that are not literals); `notes` maps props to extra remarks
+ */
+export function formatPropsTable(propsSchema, { defaults = {}, notes = {} } = {}) {
+  const names = Object.keys(propsSchema);
+  if (names.length === 0) {
+    return "This component takes no props.";
+  }
+
+  const rows = names.map(name => {
+    const schema = propsSchema[name];
+    const defaultValue = defaults[name] ?? (schema.defaultValue !== undefined ? JSON.stringify(schema.defaultValue) : null);
+    const remarks = [...(notes[name] || []), ...describeConstraints(schema)];
+    return [
+      `\`${name}\``,
+      `\`${tableCell(describeType(schema))}\``,
+      schema.required ? "yes" : "no",
+      defaultValue !== null ? `\`${tableCell(defaultValue)}\`` : "",
+      tableCell(remarks.join("; "))
+    ].join(" | ");
+  });
+
+  return [
+    "| Prop | Type | Required | Default | Notes |",
+    "| --- | --- | --- | --- | --- |",
+    ...rows.map(row => `| ${row} |`)
+  ].join("\n");
+}
+
+/**
+ * Cut the source of an element out of a file for use as a usage example. Lines after
+ * the first are dedented by the column the element starts at.
+ */
+export function callSiteSnippet(source, loc) {
+  const indent = loc.start.column - 1;
+  return source.slice(loc.start.offset, loc.end.offset)
+    .trimEnd()
+    .split(/\r?\n/)
+    .map((line, index) => index === 0 ? line : line.replace(new RegExp(`^[ \\t]{0,${indent}}`), ""))
+    .join("\n");
+}
+
+// A value of the right type for a prop, written as UIX source
+function sampleValue(schema, name) {
+  const { constraints = {} } = schema;
+  switch (schema.type) {
+    case 'enum':
+      return JSON.stringify(constraints.values[0]);
+    case 'union':
+      return sampleValue(constraints.schemas[0], name);
+    case 'number':
+      return String(constraints.min ?? 0);
+    case 'boolean':
+      return "true";
+    case 'array':
+      return "[]";
+    case 'object':
+      return "{}";
+    case 'function':
+      return "() => {}";
+    default:
+      return JSON.stringify(name);
+  }
+}
+
+/**
+ * Build a call of a component from its props schema, passing a sample value for every
+ * required prop, for components without a usable call site
+ */
+export function schemaUsageExample(componentName, propsSchema) {
+  const props = Object.entries(propsSchema)
+    .filter(([, schema]) => schema.required)
+    .map(([name, schema]) => `${name}: ${sampleValue(schema, name)}`);
+  return `${componentName}(${props.join(", ")})`;
+}
+
+/**
+ * Render a recorded call site (`{ file, line, code }`) as a usage example; an example
+ * without a file was built from the schema
+ */
+export function formatUsageExample({ file, line, code }) {
+  const heading = file ? `Usage, from \`${file}:${line}\`:` : "Usage:";
+  return [heading, "", "```uix", code, "```"].join("\n");
+}
@@ -0,0 +1,299 @@
+// UIX ESTree
+// Builders for the ESTree syntax tree the code generator produces: JavaScript, the JSX
+// extension and the TypeScript type nodes of typescript-estree. uix-printer.js prints it.
+//
+// Nodes carry an ESTree `loc` (1-based lines, 0-based columns) pointing into the .uix
+// source when they were generated from it; the printer turns those into source maps.
+// The one node that is not ESTree is `RawExpression`, JavaScript source that is passed
+// through as written (the grammar's `expression` node, e.g. supplied by a plugin).
+
+/**
+ * Convert a grammar location (1-based columns) into an ESTree source location
+ */
+export function sourceLocation(loc) {
+  if (!loc) return null;
+  return {
+    source: loc.source ?? null,
+    start: { line: loc.start.line, column: loc.start.column - 1 },
+    end: { line: loc.end.line, column: loc.end.column - 1 }
+  };
+}
+
+// Adds the source location of a grammar node, if it has one, to a new ESTree node
+function located(node, loc) {
+  const location = sourceLocation(loc);
+  return location ? { ...node, loc: location } : node;
+}
+
+/**
+ * Attach comments (`{ type: 'Line' | 'Block', value }`) to be printed before a statement
+ */
+export function withComments(node, comments) {
+  return comments.length ? { ...node, leadingComments: [...(node.leadingComments || []), ...comments] } : node;
+}
+
+// Programs, modules and statements
+
+export const program = body => ({ type: 'Program', sourceType: 'module', body });
+
+/**
+ * Build an import: `defaultName` for `import React from "react"`, `names` for `import { A, B } from "x"`
+ */
+export function importDeclaration(source, { defaultName = null, names = [] } = {}) {
+  return {
+    type: 'ImportDeclaration',
+    specifiers: [
+      ...(defaultName ? [{ type: 'ImportDefaultSpecifier', local: identifier(defaultName) }] : []),
+      ...names.map(name => ({ type: 'ImportSpecifier', imported: identifier(name), local: identifier(name) }))
+    ],
+    source: literal(source)
+  };
+}
+
+export const exportNamed = (declaration, loc = null) => located({ type: 'ExportNamedDeclaration', declaration, specifiers: [], source: null }, loc);
+export const exportDefault = (declaration, loc = null) => located({ type: 'ExportDefaultDeclaration', declaration }, loc);
+
+export function functionDeclaration(name, params, statements, loc = null) {
+  return located({ type: 'FunctionDeclaration', id: identifier(name), params, body: blockStatement(statements), generator: false, async: false }, loc);
+}
+
+export function variableDeclaration(kind, id, init, loc = null) {
+  return located({ type: 'VariableDeclaration', kind, declarations: [{ type: 'VariableDeclarator', id, init }] }, loc);
+}
+
+export const expressionStatement = expression => ({ type: 'ExpressionStatement', expression });
+export const returnStatement = argument => ({ type: 'ReturnStatement', argument });
+export const blockStatement = body => ({ type: 'BlockStatement', body });
+export const switchStatement = (discriminant, cases) => ({ type: 'SwitchStatement', discriminant, cases });
+export const switchCase = (test, consequent) => ({ type: 'SwitchCase', test, consequent });
+
+// Expressions
+
+export const identifier = (name, loc = null) => located({ type: 'Identifier', name }, loc);
+export const literal = (value, loc = null) => located({ type: 'Literal', value }, loc);
+export const arrayExpression = elements => ({ type: 'ArrayExpression', elements });
+
+export function memberExpression(object, property, { computed = false, optional = false } = {}) {
+  return { type: 'MemberExpression', object, property: typeof property === 'string' ? identifier(property) : property, computed, optional };
+}
+
+export function callExpression(callee, args, { optional = false, typeArguments = null, loc = null } = {}) {
+  return located({
+    type: 'CallExpression',
+    callee,
+    arguments: args,
+    optional,
+    ...(typeArguments && { typeArguments: { type: 'TSTypeParameterInstantiation', params: typeArguments } })
+  }, loc);
+}
+
+export function arrowFunction(params, body, loc = null) {
+  return located({ type: 'ArrowFunctionExpression', params, body, expression: body.type !== 'BlockStatement', async: false }, loc);
+}
+
+export const conditionalExpression = (test, consequent, alternate) => ({ type: 'ConditionalExpression', test, consequent, alternate });
+export const logicalExpression = (operator, left, right) => ({ type: 'LogicalExpression', operator, left, right });
+export const binaryExpression = (operator, left, right) => ({ type: 'BinaryExpression', operator, left, right });
+
+/**
+ * Mark an expression to be printed in parentheses even where precedence does not need them
+ */
+export const parenthesized = node => ({ ...node, extra: { ...node.extra, parenthesized: true } });
+
+// Patterns
+
+/**
+ * Build the destructuring pattern of a props parameter. Each prop is a name, or
+ * `{ name, defaultValue }` for a prop with a default; `rest` collects the others.
+ */
+export function objectPattern(props, rest = null) {
+  const properties = props.map(prop => {
+    const { name, defaultValue = null } = typeof prop === 'string' ? { name: prop } : prop;
+    const value = defaultValue ? { type: 'AssignmentPattern', left: identifier(name), right: defaultValue } : identifier(name);
+    return { type: 'Property', key: identifier(name), value, kind: 'init', computed: false, method: false, shorthand: true };
+  });
+  if (rest) properties.push(restElement(identifier(rest)));
+  return { type: 'ObjectPattern', properties };
+}
+
+export const arrayPattern = names => ({ type: 'ArrayPattern', elements: names.map(name => identifier(name)) });
+export const restElement = argument => ({ type: 'RestElement', argument });
+
+// JSX
+
+/**
+ * Build a JSX element; `name` may be dotted, as in `React.Fragment`. Without children
+ * the element is self-closing.
+ */
+export function jsxElement(name, attributes, children, loc = null) {
+  const jsxName = name.split(".").map(part => ({ type: 'JSXIdentifier', name: part }))
+    .reduce((object, property) => ({ type: 'JSXMemberExpression', object, property }));
+  const selfClosing = children.length === 0;
+  return located({
+    type: 'JSXElement',
+    openingElement: { type: 'JSXOpeningElement', name: jsxName, attributes, selfClosing },
+    closingElement: selfClosing ? null : { type: 'JSXClosingElement', name: jsxName },
+    children
+  }, loc);
+}
+
+export const jsxFragment = children => ({
+  type: 'JSXFragment',
+  openingFragment: { type: 'JSXOpeningFragment' },
+  closingFragment: { type: 'JSXClosingFragment' },
+  children
+});
+
+/**
+ * Build a JSX attribute. A string value is kept as a string literal; the printer decides
+ * whether it can be written in quotes.
+ */
+export function jsxAttribute(name, value, loc = null) {
+  const attributeValue = value.type === 'Literal' && typeof value.value === 'string' ? value : jsxExpressionContainer(value);
+  return located({ type: 'JSXAttribute', name: { type: 'JSXIdentifier', name }, value: attributeValue }, loc);
+}
+
+export const jsxSpreadAttribute = (argument, loc = null) => located({ type: 'JSXSpreadAttribute', argument }, loc);
+export const jsxExpressionContainer = (expression, loc = null) => located({ type: 'JSXExpressionContainer', expression }, loc);
+export const jsxText = (value, loc = null) => located({ type: 'JSXText', value, raw: value }, loc);
+
+// TypeScript types
+
+export const tsKeyword = name => ({ type: `TS${name.charAt(0).toUpperCase()}${name.slice(1)}Keyword` });
+export const tsArrayType = elementType => ({ type: 'TSArrayType', elementType });
+export const tsUnionType = types => ({ type: 'TSUnionType', types });
+export const tsLiteralType = value => ({ type: 'TSLiteralType', literal: literal(value) });
+export const tsTypeAnnotation = typeAnnotation => ({ type: 'TSTypeAnnotation', typeAnnotation });
+
+/**
+ * Reference a named type; `name` may be dotted, as in `React.ReactNode`
+ */
+export function tsTypeReference(name, typeArguments = null) {
+  const typeName = name.split(".").map(part => identifier(part))
+    .reduce((left, right) => ({ type: 'TSQualifiedName', left, right }));
+  return {
+    type: 'TSTypeReference',
+    typeName,
+    ...(typeArguments && { typeArguments: { type: 'TSTypeParameterInstantiation', params: typeArguments } })
+  };
+}
+
+export function tsFunctionType(params, returnType) {
+  return { type: 'TSFunctionType', params, returnType: tsTypeAnnotation(returnType) };
+}
+
+export function tsPropertySignature(key, type, optional = false) {
+  const keyNode = /^[a-zA-Z_$][\w$]*$/.test(key) ? identifier(key) : literal(key);
+  return { type: 'TSPropertySignature', key: keyNode, computed: false, optional, typeAnnotation: tsTypeAnnotation(type) };
+}
+
+export function tsIndexSignature(name, keyType, type) {
+  return { type: 'TSIndexSignature', parameters: [typed(identifier(name), keyType)], typeAnnotation: tsTypeAnnotation(type) };
+}
+
+export const tsTypeLiteral = members => ({ type: 'TSTypeLiteral', members });
+
+export function tsInterfaceDeclaration(name, members) {
+  return { type: 'TSInterfaceDeclaration', id: identifier(name), body: { type: 'TSInterfaceBody', body: members } };
+}
+
+/**
+ * Give a parameter or pattern a type annotation
+ */
+export const typed = (node, type) => ({ ...node, typeAnnotation: tsTypeAnnotation(type) });
+
+/**
+ * Convert a grammar expression node (see uix-expressions.js) into an ESTree expression.
+ * Optional chains are wrapped in a ChainExpression, as ESTree requires.
+ */
+export function fromExpression(node, inChain = false) {
+  if (typeof node !== 'object' || node === null) return literal(node ?? null);
+
+  let result;
+  switch (node.type) {
+    case 'string':
+    case 'boolean':
+    case 'null':
+      return literal(node.value, node.loc);
+    case 'number':
+      // ESTree literals are never negative
+      return node.value < 0 || Object.is(node.value, -0)
+        ? located({ type: 'UnaryExpression', operator: "-", prefix: true, argument: literal(-node.value) }, node.loc)
+        : literal(node.value, node.loc);
+    case 'array':
+      return located(arrayExpression(node.elements.map(element => fromExpression(element))), node.loc);
+    case 'object':
+      return located({
+        type: 'ObjectExpression',
+        properties: node.properties.map(property => ({
+          type: 'Property',
+          key: /^[a-zA-Z_$][\w$]*$/.test(property.key) ? identifier(property.key) : literal(property.key),
+          value: fromExpression(property.value),
+          kind: 'init',
+          computed: false,
+          method: false,
+          shorthand: false
+        }))
+      }, node.loc);
+    case 'identifier':
+      return identifier(node.value, node.loc);
+    case 'expression':
+      return located({ type: 'RawExpression', value: node.value }, node.loc);
+    case 'member':
+      result = located(memberExpression(
+        fromExpression(node.object, true),
+        node.computed ? fromExpression(node.property) : identifier(node.property.value, node.property.loc),
+        { computed: node.computed, optional: Boolean(node.optional) }
+      ), node.loc);
+      break;
+    case 'call':
+      result = callExpression(fromExpression(node.callee, true), node.arguments.map(arg => fromExpression(arg)), {
+        optional: Boolean(node.optional),
+        loc: node.loc
+      });
+      break;
+    case 'unary':
+      return located({ type: 'UnaryExpression', operator: node.operator, prefix: true, argument: fromExpression(node.argument) }, node.loc);
+    case 'binary':
+      return located(binaryExpression(node.operator, fromExpression(node.left), fromExpression(node.right)), node.loc);
+    case 'logical':
+      return located(logicalExpression(node.operator, fromExpression(node.left), fromExpression(node.right)), node.loc);
+    case 'conditional':
+      return located(conditionalExpression(fromExpression(node.test), fromExpression(node.consequent), fromExpression(node.alternate)), node.loc);
+    case 'arrow': {
+      const body = node.body.type === 'block' ? fromBlock(node.body) : fromExpression(node.body);
+      return arrowFunction(node.params.map(param => identifier(param.value, param.loc)), body, node.loc);
+    }
+    case 'assignment':
+      return located({ type: 'AssignmentExpression', operator: node.operator, left: fromExpression(node.target), right: fromExpression(node.value) }, node.loc);
+    default:
+      throw new Error(`Cannot convert expression node type: ${node.type}`);
+  }
+
+  // Only the outermost member or call of a chain is wrapped
+  return !inChain && isOptionalChain(result) ? located({ type: 'ChainExpression', expression: result }, node.loc) : result;
+}
+
+/**
+ * Convert a grammar statement (a `block` entry) into an ESTree statement
+ */
+export function fromStatement(node) {
+  if (node.type === 'block') return fromBlock(node);
+  if (node.type === 'variable') {
+    return variableDeclaration(node.kind, identifier(node.name.value, node.name.loc), fromExpression(node.value), node.loc);
+  }
+  return located(expressionStatement(fromExpression(node)), node.loc);
+}
+
+function fromBlock(node) {
+  return located(blockStatement(node.statements.map(fromStatement)), node.loc);
+}
+
+// Checks whether a member or call expression has an optional link anywhere in its chain
+function isOptionalChain(node) {
+  for (let current = node; current.type === 'MemberExpression' || current.type === 'CallExpression';) {
+    if (current.optional) return true;
+    current = current.type === 'MemberExpression' ? current.object : current.callee;
+  }
+  return false;
+}
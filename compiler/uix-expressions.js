@@ -0,0 +1,184 @@
+// UIX Expressions
+// Helpers for the structured expression nodes produced by the grammar
+
+/**
+ * Check whether a node is a literal whose value is known at compile time.
+ * Array and object literals qualify when all of their entries do.
+ */
+export function isLiteral(node) {
+  if (typeof node !== 'object' || node === null) return false;
+
+  switch (node.type) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+    case 'null':
+      return true;
+    case 'array':
+      return node.elements.every(isLiteral);
+    case 'object':
+      return node.properties.every(property => isLiteral(property.value));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Convert a literal node into the plain JavaScript value it denotes
+ */
+export function literalValue(node) {
+  switch (node.type) {
+    case 'array':
+      return node.elements.map(literalValue);
+    case 'object':
+      return Object.fromEntries(node.properties.map(property => [property.key, literalValue(property.value)]));
+    default:
+      return node.value;
+  }
+}
+
+/**
+ * Visit every node of an expression tree, parents before children.
+ * Returning false from the visitor skips the children of that node.
+ */
+export function walkExpression(node, visitor, parent = null) {
+  if (typeof node !== 'object' || node === null) return;
+  if (visitor(node, parent) === false) return;
+
+  switch (node.type) {
+    case 'member':
+      walkExpression(node.object, visitor, node);
+      if (node.computed) walkExpression(node.property, visitor, node);
+      break;
+    case 'call':
+      walkExpression(node.callee, visitor, node);
+      node.arguments.forEach(arg => walkExpression(arg, visitor, node));
+      break;
+    case 'unary':
+      walkExpression(node.argument, visitor, node);
+      break;
+    case 'binary':
+    case 'logical':
+      walkExpression(node.left, visitor, node);
+      walkExpression(node.right, visitor, node);
+      break;
+    case 'conditional':
+      walkExpression(node.test, visitor, node);
+      walkExpression(node.consequent, visitor, node);
+      walkExpression(node.alternate, visitor, node);
+      break;
+    case 'array':
+      node.elements.forEach(element => walkExpression(element, visitor, node));
+      break;
+    case 'object':
+      node.properties.forEach(property => walkExpression(property.value, visitor, node));
+      break;
+    case 'arrow':
+      walkExpression(node.body, visitor, node);
+      break;
+    case 'block':
+      node.statements.forEach(statement => walkExpression(statement, visitor, node));
+      break;
+    case 'assignment':
+      walkExpression(node.target, visitor, node);
+      walkExpression(node.value, visitor, node);
+      break;
+    case 'variable':
+      walkExpression(node.value, visitor, node);
+      break;
+    case 'cleanup':
+      walkExpression(node.body, visitor, node);
+      break;
+  }
+}
+
+/**
+ * Rebuild an expression tree bottom-up, replacing every node with `transform(node)`.
+ * Nodes are copied, so the original tree is left untouched.
+ */
+export function mapExpression(node, transform) {
+  if (typeof node !== 'object' || node === null) return node;
+  const map = child => mapExpression(child, transform);
+
+  switch (node.type) {
+    case 'member':
+      return transform({ ...node, object: map(node.object), property: node.computed ? map(node.property) : node.property });
+    case 'call':
+      return transform({ ...node, callee: map(node.callee), arguments: node.arguments.map(map) });
+    case 'unary':
+      return transform({ ...node, argument: map(node.argument) });
+    case 'binary':
+    case 'logical':
+      return transform({ ...node, left: map(node.left), right: map(node.right) });
+    case 'conditional':
+      return transform({ ...node, test: map(node.test), consequent: map(node.consequent), alternate: map(node.alternate) });
+    case 'array':
+      return transform({ ...node, elements: node.elements.map(map) });
+    case 'object':
+      return transform({ ...node, properties: node.properties.map(property => ({ ...property, value: map(property.value) })) });
+    case 'arrow':
+      return transform({ ...node, body: map(node.body) });
+    case 'block':
+      return transform({ ...node, statements: node.statements.map(map) });
+    case 'assignment':
+      return transform({ ...node, target: map(node.target), value: map(node.value) });
+    case 'variable':
+      return transform({ ...node, value: map(node.value) });
+    case 'cleanup':
+      return transform({ ...node, body: map(node.body) });
+    default:
+      return transform({ ...node });
+  }
+}
+
+/**
+ * Collect the free variables an expression reads, in order of first appearance.
+ * Member names (`user.name`) are not variables; only the root object and any
+ * identifiers inside computed members (`items[index]`) or call arguments are.
+ */
+export function freeIdentifiers(node) {
+  return freeIdentifierReferences(node).map(reference => reference.name);
+}
+
+/**
+ * Like freeIdentifiers, but returns `{ name, loc }` for the first read of each
+ * variable so diagnostics can point at it. Names found in raw source get the
+ * location of the whole raw expression.
+ */
+export function freeIdentifierReferences(node) {
+  const references = [];
+  const add = (name, loc) => {
+    if (!references.some(reference => reference.name === name)) {
+      references.push({ name, loc: loc ?? null });
+    }
+  };
+
+  // `bound` holds the names declared by enclosing arrow parameters and block variables
+  const collect = (root, bound) => walkExpression(root, current => {
+    if (current.type === 'arrow') {
+      collect(current.body, new Set([...bound, ...current.params.map(param => param.value)]));
+      return false;
+    }
+    if (current.type === 'block') {
+      const blockScope = new Set(bound);
+      for (const statement of current.statements) {
+        collect(statement, blockScope);
+        if (statement.type === 'variable') blockScope.add(statement.name.value);
+      }
+      return false;
+    }
+
+    if (current.type === 'identifier') {
+      if (!bound.has(current.value)) add(current.value, current.loc);
+    } else if (current.type === 'expression') {
+      // Raw JavaScript source: ignore string contents and names that follow a dot
+      const source = current.value.replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, '""');
+      for (const match of source.matchAll(/(^|[^.\w$])([a-zA-Z_$][\w$]*)/g)) {
+        if (!bound.has(match[2])) add(match[2], current.loc);
+      }
+    }
+  });
+
+  collect(node, new Set());
+  return references;
+}
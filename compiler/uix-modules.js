@@ -0,0 +1,104 @@
+// UIX Modules
+// Resolution of the `import` graph between .uix files. Files are read through a
+// `readFile` callback, so the graph can be built without a filesystem too.
+
+/**
+ * Resolve an import specifier against the file that contains the import.
+ * Paths use `/` separators; `.` and `..` segments are normalized away.
+ */
+export function resolveImportPath(importer, specifier) {
+  if (specifier.startsWith("/")) return normalizePath(specifier);
+  const file = importer.replace(/\\/g, "/");
+  const directory = file.includes("/") ? file.slice(0, file.lastIndexOf("/")) : ".";
+  return normalizePath(`${directory}/${specifier}`);
+}
+
+/**
+ * Normalize a `/`-separated path: `./a/../b.uix` becomes `b.uix`
+ */
+export function normalizePath(file) {
+  const absolute = file.startsWith("/");
+  const segments = [];
+  for (const segment of file.replace(/\\/g, "/").split("/")) {
+    if (segment === "" || segment === ".") continue;
+    if (segment === ".." && segments.length > 0 && segments[segments.length - 1] !== "..") {
+      segments.pop();
+    } else if (segment !== ".." || !absolute) {
+      segments.push(segment);
+    }
+  }
+  const joined = segments.join("/");
+  return absolute ? `/${joined}` : joined || ".";
+}
+
+/**
+ * Check whether an import declaration imports from another .uix file rather than from a JavaScript module
+ */
+export function isUixImport(declaration) {
+  return declaration.source.value.endsWith(".uix");
+}
+
+// Builds a diagnostic for a problem with an import declaration
+function importError(code, message, file, loc) {
+  return { severity: 'error', code, message, file, loc };
+}
+
+/**
+ * Load an entry file and every .uix file it imports, directly or indirectly.
+ *
+ * Returns the modules in dependency order, imported files before the files that import
+ * them, so the entry file comes last. Each module is
+ * `{ file, source, ast, dependencies, diagnostics }`: `dependencies` maps the import
+ * specifiers of its .uix imports to resolved paths, and `diagnostics` holds the import errors
+ * (missing files and cycles) found in it. Syntax errors are left to the compiler.
+ *
+ * @param {string} entryFile - Path of the entry .uix file
+ * @param {object} options - `readFile(file)` returning the source text (throwing when the
+ *   file does not exist) and `parse(source, { filename })` returning `{ ast }`
+ */
+export function loadModuleGraph(entryFile, { readFile, parse }) {
+  const modules = new Map();
+  const order = [];
+  const visiting = [];
+
+  const visit = (file, source) => {
+    const { ast } = parse(source, { filename: file });
+    const module = { file, source, ast, dependencies: new Map(), diagnostics: [] };
+    modules.set(file, module);
+    visiting.push(file);
+
+    // Imports of JavaScript modules are left to the bundler
+    for (const declaration of (ast.imports || []).filter(isUixImport)) {
+      const specifier = declaration.source.value;
+      const resolved = resolveImportPath(file, specifier);
+      const { loc } = declaration.source;
+
+      // A file that is still being loaded imports itself through this one
+      const cycleStart = visiting.indexOf(resolved);
+      if (cycleStart !== -1) {
+        const chain = [...visiting.slice(cycleStart), resolved].join(" -> ");
+        module.diagnostics.push(importError('import-cycle', `Import cycle: ${chain}`, file, loc));
+        continue;
+      }
+
+      if (!modules.has(resolved)) {
+        let dependencySource;
+        try {
+          dependencySource = readFile(resolved);
+        } catch {
+          module.diagnostics.push(importError('unresolved-import', `Cannot find module '${specifier}' (resolved to ${resolved})`, file, loc));
+          continue;
+        }
+        visit(resolved, dependencySource);
+      }
+      module.dependencies.set(specifier, resolved);
+    }
+
+    visiting.pop();
+    order.push(module);
+  };
+
+  const entry = normalizePath(entryFile);
+  visit(entry, readFile(entry));
+  return order;
+}
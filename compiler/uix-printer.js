@@ -0,0 +1,662 @@
+// UIX Printer
+// Prints the syntax tree built with uix-estree.js as JavaScript/JSX (or TypeScript)
+// source. Formatting is fixed: two-space indentation, JSX elements one per line with
+// multi-line JSX wrapped in parentheses, and a blank line between top-level declarations.
+// Every node with a source location is recorded as a mapping for the source map.
+
+const INDENT = "  ";
+
+// Binding strength of each node type / operator, used to decide where parentheses are needed
+const PRECEDENCE = {
+  assignment: 1,
+  conditional: 2,
+  '??': 3,
+  '||': 3,
+  '&&': 4,
+  '==': 8, '!=': 8, '===': 8, '!==': 8,
+  '<': 9, '<=': 9, '>': 9, '>=': 9,
+  '+': 11, '-': 11,
+  '*': 12, '/': 12, '%': 12,
+  unary: 14,
+  postfix: 17,
+  primary: 18
+};
+
+// Binding strength of an ESTree expression
+function precedenceOf(node) {
+  switch (node.type) {
+    case 'ArrowFunctionExpression':
+    case 'AssignmentExpression':
+      return PRECEDENCE.assignment;
+    case 'ConditionalExpression':
+      return PRECEDENCE.conditional;
+    case 'LogicalExpression':
+    case 'BinaryExpression':
+      return PRECEDENCE[node.operator];
+    case 'UnaryExpression':
+      return PRECEDENCE.unary;
+    case 'MemberExpression':
+    case 'CallExpression':
+    case 'ChainExpression':
+      return PRECEDENCE.postfix;
+    case 'RawExpression':
+      // Raw JavaScript source: only a plain dotted path is known to bind tightly
+      return /^[a-zA-Z_$][\w$]*(\.[a-zA-Z_$][\w$]*)*$/.test(node.value) ? PRECEDENCE.primary : 0;
+    default:
+      return PRECEDENCE.primary;
+  }
+}
+
+// Checks whether a node has JSX anywhere inside it
+function containsJSX(node) {
+  if (typeof node !== 'object' || node === null) return false;
+  if (node.type === 'JSXElement' || node.type === 'JSXFragment') return true;
+  return Object.entries(node).some(([key, value]) => key !== 'loc' && (Array.isArray(value) ? value.some(containsJSX) : containsJSX(value)));
+}
+
+// Checks whether a statement printed first in a statement would be read as a block or declaration
+function startsWithBraceOrFunction(node) {
+  switch (node.type) {
+    case 'ObjectExpression':
+    case 'FunctionExpression':
+      return !node.extra?.parenthesized;
+    case 'MemberExpression':
+      return startsWithBraceOrFunction(node.object);
+    case 'CallExpression':
+      return startsWithBraceOrFunction(node.callee);
+    case 'BinaryExpression':
+    case 'LogicalExpression':
+    case 'AssignmentExpression':
+      return startsWithBraceOrFunction(node.left);
+    case 'ConditionalExpression':
+      return startsWithBraceOrFunction(node.test);
+    case 'ChainExpression':
+      return startsWithBraceOrFunction(node.expression);
+    default:
+      return false;
+  }
+}
+
+// Checks whether a block only holds expressions, declarations and blocks of those, which
+// can all be printed on one line
+function isSimpleBlock(node) {
+  return node.body.every(statement => ['ExpressionStatement', 'VariableDeclaration'].includes(statement.type) ||
+    (statement.type === 'BlockStatement' && isSimpleBlock(statement)));
+}
+
+// Text that JSX would read as markup, as an entity or as insignificant whitespace
+// has to be written as a string expression instead
+const UNSAFE_JSX_TEXT = /[{}<>&\n]|^\s|\s$/;
+const UNSAFE_JSX_ATTRIBUTE = /["\\&\n]/;
+
+class Printer {
+  constructor() {
+    this.output = "";
+    this.line = 0;
+    this.column = 0;
+    this.level = 0;
+    this.pendingIndent = false;
+    this.jsxDepth = 0;
+    this.mappings = [];
+  }
+
+  write(text) {
+    if (this.pendingIndent) {
+      this.pendingIndent = false;
+      this.write(INDENT.repeat(this.level));
+    }
+    const lastNewline = text.lastIndexOf("\n");
+    if (lastNewline === -1) {
+      this.column += text.length;
+    } else {
+      this.line += text.split("\n").length - 1;
+      this.column = text.length - lastNewline - 1;
+    }
+    this.output += text;
+  }
+
+  // Starts a new line; its indentation is written with the first text on it, so blank lines stay empty
+  newline() {
+    this.output += "\n";
+    this.line++;
+    this.column = 0;
+    this.pendingIndent = true;
+  }
+
+  indented(print) {
+    this.level++;
+    print();
+    this.level--;
+  }
+
+  // Records where a node with a source location starts in the output
+  map(node) {
+    if (!node.loc) return;
+    const column = this.pendingIndent ? this.level * INDENT.length : this.column;
+    const mapping = { line: this.line, column, originalLine: node.loc.start.line - 1, originalColumn: node.loc.start.column };
+    const previous = this.mappings[this.mappings.length - 1];
+    // Nested nodes often start at the same position, or at the same source position as
+    // the node around them (`{greeting}` and `greeting`); the first mapping covers both
+    if (previous && previous.line === mapping.line &&
+      (previous.column === mapping.column || (previous.originalLine === mapping.originalLine && previous.originalColumn === mapping.originalColumn))) {
+      return;
+    }
+    this.mappings.push(mapping);
+  }
+
+  list(nodes, separator, print) {
+    nodes.forEach((node, index) => {
+      if (index > 0) this.write(separator);
+      print(node);
+    });
+  }
+
+  program(node) {
+    node.body.forEach((statement, index) => {
+      if (index > 0) {
+        const previous = node.body[index - 1];
+        this.newline();
+        if (previous.type !== 'ImportDeclaration' || statement.type !== 'ImportDeclaration') this.newline();
+      }
+      this.statement(statement);
+    });
+    this.newline();
+  }
+
+  comments(node) {
+    for (const comment of node.leadingComments || []) {
+      this.write(comment.type === 'Line' ? `//${comment.value}` : `/*${comment.value}*/`);
+      this.newline();
+    }
+  }
+
+  statement(node) {
+    this.comments(node);
+    this.map(node);
+    switch (node.type) {
+      case 'ImportDeclaration': {
+        const defaultSpecifier = node.specifiers.find(specifier => specifier.type === 'ImportDefaultSpecifier');
+        const named = node.specifiers.filter(specifier => specifier.type === 'ImportSpecifier');
+        const clauses = [
+          ...(defaultSpecifier ? [defaultSpecifier.local.name] : []),
+          ...(named.length ? [`{ ${named.map(specifier => specifier.imported.name === specifier.local.name ? specifier.local.name : `${specifier.imported.name} as ${specifier.local.name}`).join(", ")} }`] : [])
+        ];
+        this.write(`import ${clauses.join(", ")} from ${JSON.stringify(node.source.value)};`);
+        break;
+      }
+      case 'ExportNamedDeclaration':
+        this.write("export ");
+        this.statement(node.declaration);
+        break;
+      case 'ExportDefaultDeclaration':
+        this.write("export default ");
+        this.statement(node.declaration);
+        break;
+      case 'FunctionDeclaration':
+        this.write(`function ${node.id.name}(`);
+        this.list(node.params, ", ", param => this.pattern(param));
+        this.write(") ");
+        this.block(node.body, { blankBeforeReturn: true });
+        break;
+      case 'VariableDeclaration':
+        this.write(`${node.kind} `);
+        this.list(node.declarations, ", ", declarator => {
+          this.pattern(declarator.id);
+          if (declarator.init) {
+            this.write(" = ");
+            this.expression(declarator.init, PRECEDENCE.assignment);
+          }
+        });
+        this.write(";");
+        break;
+      case 'ExpressionStatement': {
+        const wrap = startsWithBraceOrFunction(node.expression);
+        if (wrap) this.write("(");
+        this.expression(node.expression);
+        this.write(wrap ? ");" : ";");
+        break;
+      }
+      case 'ReturnStatement':
+        this.write("return");
+        if (node.argument) {
+          this.write(" ");
+          this.expression(node.argument);
+        }
+        this.write(";");
+        break;
+      case 'BlockStatement':
+        this.block(node);
+        break;
+      case 'SwitchStatement':
+        this.write("switch (");
+        this.expression(node.discriminant);
+        this.write(") {");
+        this.indented(() => node.cases.forEach(switchCase => {
+          this.newline();
+          this.map(switchCase);
+          if (switchCase.test) {
+            this.write("case ");
+            this.expression(switchCase.test);
+            this.write(":");
+          } else {
+            this.write("default:");
+          }
+          this.indented(() => switchCase.consequent.forEach(statement => {
+            this.newline();
+            this.statement(statement);
+          }));
+        }));
+        this.newline();
+        this.write("}");
+        break;
+      case 'TSInterfaceDeclaration':
+        this.write(`interface ${node.id.name} `);
+        if (node.body.body.length === 0) {
+          this.write("{}");
+          break;
+        }
+        this.write("{");
+        this.indented(() => node.body.body.forEach(member => {
+          this.newline();
+          this.typeMember(member);
+          this.write(";");
+        }));
+        this.newline();
+        this.write("}");
+        break;
+      default:
+        throw new Error(`Cannot print statement type: ${node.type}`);
+    }
+  }
+
+  /**
+   * Print a block. Inside JSX, a block of simple statements stays on one line so the
+   * element it belongs to does too. In a function, a blank line sets off the return.
+   */
+  block(node, { blankBeforeReturn = false } = {}) {
+    if (node.body.length === 0) {
+      this.write("{}");
+      return;
+    }
+    if (this.jsxDepth > 0 && isSimpleBlock(node)) {
+      this.write("{ ");
+      this.list(node.body, " ", statement => this.statement(statement));
+      this.write(" }");
+      return;
+    }
+
+    this.write("{");
+    this.indented(() => node.body.forEach((statement, index) => {
+      this.newline();
+      if (blankBeforeReturn && index > 0 && statement.type === 'ReturnStatement') this.newline();
+      this.statement(statement);
+    }));
+    this.newline();
+    this.write("}");
+  }
+
+  pattern(node) {
+    this.map(node);
+    switch (node.type) {
+      case 'ObjectPattern':
+        if (node.properties.length === 0) {
+          this.write("{}");
+        } else {
+          this.write("{ ");
+          this.list(node.properties, ", ", property => {
+            if (property.type === 'RestElement') {
+              this.write("...");
+              this.pattern(property.argument);
+            } else if (property.shorthand) {
+              this.pattern(property.value);
+            } else {
+              this.write(`${property.key.name}: `);
+              this.pattern(property.value);
+            }
+          });
+          this.write(" }");
+        }
+        break;
+      case 'ArrayPattern':
+        this.write("[");
+        this.list(node.elements, ", ", element => this.pattern(element));
+        this.write("]");
+        break;
+      case 'AssignmentPattern':
+        this.pattern(node.left);
+        this.write(" = ");
+        this.expression(node.right, PRECEDENCE.assignment);
+        return;
+      case 'RestElement':
+        this.write("...");
+        this.pattern(node.argument);
+        break;
+      case 'Identifier':
+        this.write(node.name);
+        break;
+      default:
+        throw new Error(`Cannot print pattern type: ${node.type}`);
+    }
+    if (node.typeAnnotation) {
+      this.write(": ");
+      this.type(node.typeAnnotation.typeAnnotation);
+    }
+  }
+
+  /**
+   * Print an expression, in parentheses when it binds less tightly than `minPrecedence`.
+   * JSX used as an expression is printed on lines of its own, in parentheses.
+   */
+  expression(node, minPrecedence = 0) {
+    if (node.type === 'JSXElement' || node.type === 'JSXFragment') {
+      this.write("(");
+      this.indented(() => {
+        this.newline();
+        this.jsx(node);
+      });
+      this.newline();
+      this.write(")");
+      return;
+    }
+
+    const parentheses = precedenceOf(node) < minPrecedence || node.extra?.parenthesized;
+    if (parentheses) this.write("(");
+    this.map(node);
+    this.expressionBody(node);
+    if (parentheses) this.write(")");
+  }
+
+  expressionBody(node) {
+    switch (node.type) {
+      case 'Identifier':
+        this.write(node.name);
+        break;
+      case 'Literal':
+        this.write(typeof node.value === 'string' ? JSON.stringify(node.value) : String(node.value));
+        break;
+      case 'RawExpression':
+        this.write(node.value);
+        break;
+      case 'ArrayExpression':
+        this.write("[");
+        this.list(node.elements, ", ", element => this.expression(element));
+        this.write("]");
+        break;
+      case 'ObjectExpression':
+        if (node.properties.length === 0) {
+          this.write("{}");
+          break;
+        }
+        this.write("{ ");
+        this.list(node.properties, ", ", property => {
+          this.write(property.key.type === 'Identifier' ? property.key.name : JSON.stringify(property.key.value));
+          this.write(": ");
+          this.expression(property.value);
+        });
+        this.write(" }");
+        break;
+      case 'MemberExpression':
+        this.expression(node.object, PRECEDENCE.postfix);
+        if (node.computed) {
+          this.write(node.optional ? "?.[" : "[");
+          this.expression(node.property);
+          this.write("]");
+        } else {
+          this.write(node.optional ? "?." : ".");
+          this.map(node.property);
+          this.write(node.property.name);
+        }
+        break;
+      case 'CallExpression':
+        this.expression(node.callee, PRECEDENCE.postfix);
+        if (node.optional) this.write("?.");
+        if (node.typeArguments) {
+          this.write("<");
+          this.list(node.typeArguments.params, ", ", param => this.type(param));
+          this.write(">");
+        }
+        this.write("(");
+        this.list(node.arguments, ", ", arg => this.expression(arg));
+        this.write(")");
+        break;
+      case 'ChainExpression':
+        this.expressionBody(node.expression);
+        break;
+      case 'UnaryExpression': {
+        // Keep `- -x` from being printed as the decrement operator
+        const { argument } = node;
+        const collides = argument.type === 'UnaryExpression' && '+-'.includes(argument.operator) && '+-'.includes(node.operator);
+        this.write(/^[a-z]/.test(node.operator) || collides ? `${node.operator} ` : node.operator);
+        this.expression(argument, PRECEDENCE.unary);
+        break;
+      }
+      case 'BinaryExpression':
+      case 'LogicalExpression': {
+        const precedence = PRECEDENCE[node.operator];
+        this.operand(node, node.left, precedence);
+        this.write(` ${node.operator} `);
+        this.operand(node, node.right, precedence + 1);
+        break;
+      }
+      case 'ConditionalExpression':
+        this.expression(node.test, PRECEDENCE.conditional + 1);
+        this.write(" ? ");
+        this.expression(node.consequent, PRECEDENCE.conditional);
+        this.write(" : ");
+        this.expression(node.alternate, PRECEDENCE.conditional);
+        break;
+      case 'ArrowFunctionExpression': {
+        const [first] = node.params;
+        if (node.params.length === 1 && first.type === 'Identifier' && !first.typeAnnotation) {
+          this.pattern(first);
+        } else {
+          this.write("(");
+          this.list(node.params, ", ", param => this.pattern(param));
+          this.write(")");
+        }
+        this.write(" => ");
+        if (node.body.type === 'BlockStatement') {
+          this.block(node.body);
+        } else if (node.body.type === 'ObjectExpression') {
+          // An object literal body would be read as a block without the parentheses
+          this.write("(");
+          this.expression(node.body);
+          this.write(")");
+        } else {
+          this.expression(node.body, PRECEDENCE.assignment);
+        }
+        break;
+      }
+      case 'AssignmentExpression':
+        this.expression(node.left, PRECEDENCE.postfix);
+        this.write(` ${node.operator} `);
+        this.expression(node.right, PRECEDENCE.assignment);
+        break;
+      default:
+        throw new Error(`Cannot print expression type: ${node.type}`);
+    }
+  }
+
+  // JavaScript rejects `??` mixed with `||` or `&&` unless one side is parenthesized
+  operand(parent, child, minPrecedence) {
+    const mixesNullish = parent.type === 'LogicalExpression' && child.type === 'LogicalExpression' &&
+      child.operator !== parent.operator && (parent.operator === '??' || child.operator === '??');
+    this.expression(child, mixesNullish ? PRECEDENCE.primary : minPrecedence);
+  }
+
+  /**
+   * Print a JSX element or fragment. Children that hold no JSX themselves (text and
+   * interpolations) stay on the line of the element; otherwise each gets its own line.
+   */
+  jsx(node) {
+    this.map(node);
+    this.jsxDepth++;
+    const isFragment = node.type === 'JSXFragment';
+    const name = isFragment ? "" : this.jsxName(node.openingElement.name);
+
+    this.write(`<${name}`);
+    for (const attribute of isFragment ? [] : node.openingElement.attributes) {
+      this.write(" ");
+      this.jsxAttribute(attribute);
+    }
+    if (!isFragment && node.openingElement.selfClosing) {
+      this.write(" />");
+      this.jsxDepth--;
+      return;
+    }
+    this.write(">");
+
+    if (node.children.some(containsJSX)) {
+      this.indented(() => node.children.forEach(child => {
+        this.newline();
+        this.jsxChild(child);
+      }));
+      this.newline();
+    } else {
+      node.children.forEach(child => this.jsxChild(child));
+    }
+    this.write(`</${name}>`);
+    this.jsxDepth--;
+  }
+
+  jsxName(node) {
+    return node.type === 'JSXMemberExpression' ? `${this.jsxName(node.object)}.${node.property.name}` : node.name;
+  }
+
+  jsxAttribute(node) {
+    this.map(node);
+    if (node.type === 'JSXSpreadAttribute') {
+      this.write("{...");
+      this.expression(node.argument);
+      this.write("}");
+      return;
+    }
+
+    this.write(node.name.name);
+    const { value } = node;
+    if (value === null) return;
+    this.write("=");
+    if (value.type === 'Literal' && !UNSAFE_JSX_ATTRIBUTE.test(value.value)) {
+      this.map(value);
+      this.write(`"${value.value}"`);
+    } else {
+      this.write("{");
+      this.expression(value.type === 'JSXExpressionContainer' ? value.expression : value);
+      this.write("}");
+    }
+  }
+
+  jsxChild(node) {
+    switch (node.type) {
+      case 'JSXElement':
+      case 'JSXFragment':
+        this.jsx(node);
+        break;
+      case 'JSXText':
+        this.map(node);
+        this.write(UNSAFE_JSX_TEXT.test(node.value) ? `{${JSON.stringify(node.value)}}` : node.value);
+        break;
+      case 'JSXExpressionContainer':
+        this.map(node);
+        this.write("{");
+        this.expression(node.expression);
+        this.write("}");
+        break;
+      default:
+        throw new Error(`Cannot print JSX child type: ${node.type}`);
+    }
+  }
+
+  type(node) {
+    switch (node.type) {
+      case 'TSStringKeyword':
+      case 'TSNumberKeyword':
+      case 'TSBooleanKeyword':
+      case 'TSAnyKeyword':
+      case 'TSNullKeyword':
+      case 'TSUnknownKeyword':
+        this.write(node.type.slice(2, -"Keyword".length).toLowerCase());
+        break;
+      case 'TSLiteralType':
+        this.write(JSON.stringify(node.literal.value));
+        break;
+      case 'TSArrayType': {
+        const parentheses = ['TSUnionType', 'TSFunctionType'].includes(node.elementType.type);
+        if (parentheses) this.write("(");
+        this.type(node.elementType);
+        this.write(parentheses ? ")[]" : "[]");
+        break;
+      }
+      case 'TSUnionType':
+        this.list(node.types, " | ", member => {
+          if (member.type === 'TSFunctionType') {
+            this.write("(");
+            this.type(member);
+            this.write(")");
+          } else {
+            this.type(member);
+          }
+        });
+        break;
+      case 'TSTypeLiteral':
+        if (node.members.length === 0) {
+          this.write("{}");
+          break;
+        }
+        this.write("{ ");
+        this.list(node.members, "; ", member => this.typeMember(member));
+        this.write(" }");
+        break;
+      case 'TSFunctionType':
+        this.write("(");
+        this.list(node.params, ", ", param => this.pattern(param));
+        this.write(") => ");
+        this.type(node.returnType.typeAnnotation);
+        break;
+      case 'TSTypeReference':
+        this.write(this.typeName(node.typeName));
+        if (node.typeArguments) {
+          this.write("<");
+          this.list(node.typeArguments.params, ", ", param => this.type(param));
+          this.write(">");
+        }
+        break;
+      default:
+        throw new Error(`Cannot print type: ${node.type}`);
+    }
+  }
+
+  typeName(node) {
+    return node.type === 'TSQualifiedName' ? `${this.typeName(node.left)}.${node.right.name}` : node.name;
+  }
+
+  typeMember(node) {
+    if (node.type === 'TSIndexSignature') {
+      this.write("[");
+      this.list(node.parameters, ", ", param => this.pattern(param));
+      this.write("]: ");
+    } else {
+      this.write(node.key.type === 'Identifier' ? node.key.name : JSON.stringify(node.key.value));
+      this.write(node.optional ? "?: " : ": ");
+    }
+    this.type(node.typeAnnotation.typeAnnotation);
+  }
+}
+
+/**
+ * Print a Program node as source code. Any other node is printed as an expression, e.g.
+ * `print(fromExpression(node)).code` for a grammar expression in a message.
+ *
+ * @returns {{code: string, mappings: object[]}} the code, and for every node with a
+ *   source location `{ line, column, originalLine, originalColumn }` (zero-based), in
+ *   output order, ready for encodeMappings in uix-sourcemap.js
+ */
+export function print(node) {
+  const printer = new Printer();
+  if (node.type === 'Program') {
+    printer.program(node);
+  } else {
+    printer.expression(node);
+  }
+  return { code: printer.output, mappings: printer.mappings };
+}
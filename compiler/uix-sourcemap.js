@@ -0,0 +1,73 @@
+// UIX Source Maps
+// Version 3 source maps from generated code back to the .uix source. The printer
+// (uix-printer.js) records where the code of every node with a source location starts;
+// createSourceMap turns those positions into the `mappings` of the map.
+
+const BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+// Encodes a signed integer as a Base64 VLQ, the number format of the `mappings` field
+function encodeVLQ(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = "";
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    encoded += BASE64[digit];
+  } while (vlq > 0);
+  return encoded;
+}
+
+/**
+ * Encode mappings (`{ line, column, originalLine, originalColumn }`, all zero-based and
+ * sorted by generated position) into the `mappings` field of a source map with one source
+ */
+export function encodeMappings(mappings) {
+  const lines = [];
+  let previous = { originalLine: 0, originalColumn: 0 };
+  for (const mapping of mappings) {
+    while (lines.length <= mapping.line) lines.push([]);
+    const segments = lines[mapping.line];
+    const previousColumn = segments.length ? segments[segments.length - 1].column : 0;
+    segments.push({
+      column: mapping.column,
+      text: encodeVLQ(mapping.column - previousColumn) +
+        encodeVLQ(0) +
+        encodeVLQ(mapping.originalLine - previous.originalLine) +
+        encodeVLQ(mapping.originalColumn - previous.originalColumn)
+    });
+    previous = mapping;
+  }
+  return lines.map(segments => segments.map(segment => segment.text).join(",")).join(";");
+}
+
+/**
+ * Build the source map for generated code.
+ *
+ * @param {object[]} mappings - Mappings recorded by the printer, in output order
+ * @param {object} options - `sourceFile` (the .uix path recorded in the map), `source`
+ *   (its text, embedded as `sourcesContent`) and `file` (the generated file, if known)
+ * @returns {object} the source map
+ */
+export function createSourceMap(mappings, { sourceFile, source, file = null }) {
+  return {
+    version: 3,
+    ...(file && { file }),
+    sources: [sourceFile],
+    sourcesContent: [source],
+    names: [],
+    mappings: encodeMappings(mappings)
+  };
+}
+
+/**
+ * Build the comment that embeds a source map in the generated code as a data URL
+ */
+export function inlineSourceMapComment(map) {
+  // btoa only takes Latin-1, so the UTF-8 bytes of the JSON are encoded instead
+  let binary = "";
+  for (const byte of new TextEncoder().encode(JSON.stringify(map))) {
+    binary += String.fromCharCode(byte);
+  }
+  return `//# sourceMappingURL=data:application/json;charset=utf-8;base64,${btoa(binary)}`;
+}
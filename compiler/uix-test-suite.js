@@ -3,6 +3,12 @@ import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals
 import fs from 'fs';
 import path from 'path';
 import { UIXCompiler, UIXCompilerConfig, UIXPluginManager } from './compile-to-react.js';
+import { compile, compileProject, parse } from './compile.js';
+import { resolveImportPath } from './uix-modules.js';
+import { encodeMappings } from './uix-sourcemap.js';
+import * as t from './uix-estree.js';
+import { print } from './uix-printer.js';
+import { formatDiagnostic } from './uix-diagnostics.js';
 import * as parser from './parser.js';
 import { UIXSchema, UIXValidationError } from './uix-validation.js';
 
@@ -10,6 +16,7 @@ import { UIXSchema, UIXValidationError } from './uix-validation.js';
 jest.mock('fs', () => ({
   readFileSync: jest.fn(),
   writeFileSync: jest.fn(),
+  mkdirSync: jest.fn(),
   watchFile: jest.fn(),
 }));
 
@@ -62,6 +69,32 @@ describe('UIXPluginManager', () => {
     expect(workingPlugin.onCompile).toHaveBeenCalled(); // Ensure subsequent hooks still run
     consoleErrorSpy.mockRestore();
   });
+
+  it('should pass the value a hook rewrites on to the next handler', async () => {
+    pluginManager.registerPlugin({ onOutput: ({ output }) => `${output}!` });
+    pluginManager.registerPlugin({ onOutput: () => undefined });
+    pluginManager.registerPlugin({ onOutput: ({ output, inputFile }) => `${inputFile}: ${output}` });
+
+    await expect(pluginManager.applyHook('onOutput', 'output', { inputFile: 'a.uix', output: 'code' })).resolves.toBe('a.uix: code!');
+  });
+
+  it('should call hook handlers with their plugin as this', async () => {
+    const plugin = { prefix: '// generated', onOutput({ output }) { return `${this.prefix}\n${output}`; } };
+    pluginManager.registerPlugin(plugin);
+
+    await expect(pluginManager.applyHook('onOutput', 'output', { output: 'code' })).resolves.toBe('// generated\ncode');
+    await expect(pluginManager.executeHook('onOutput', { output: 'code' })).resolves.toEqual(['// generated\ncode']);
+  });
+
+  it('should call setup with the api from its host', () => {
+    const api = {};
+    const createApi = jest.fn(() => api);
+    const plugin = { name: 'p', setup: jest.fn() };
+    new UIXPluginManager({ createApi }).registerPlugin(plugin);
+
+    expect(createApi).toHaveBeenCalledWith(plugin);
+    expect(plugin.setup).toHaveBeenCalledWith(api);
+  });
 });
 
 describe('UIXCompilerConfig', () => {
@@ -344,4 +377,1015 @@ describe('UIXCompiler', () => {
       expect(generatedCode).not.toContain('{users}.map');
     });
   });
-});
\ No newline at end of file
+});
+
+describe('compile (in-memory)', () => {
+  beforeEach(() => {
+    // These tests run the real grammar instead of the mocked parser
+    parser.parse.mockImplementation(jest.requireActual('./parser.js').parse);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return code, diagnostics and component metadata without touching the filesystem', async () => {
+    const source = 'component Greeting(name) { Text(text: name) }\nApp { Greeting(name: "Ada") }';
+    const result = await compile(source, { filename: 'greeting.uix' });
+
+    expect(result.code).toContain('function Greeting({ name })');
+    expect(result.code).toContain('<Greeting name="Ada" />');
+    expect(result.diagnostics).toEqual([]);
+    expect(result.components).toEqual([{ name: 'Greeting', params: ['name'], inferredTypes: { name: 'string' }, doc: null }]);
+    expect(result.meta.filename).toBe('greeting.uix');
+    expect(fs.readFileSync).not.toHaveBeenCalled();
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+  });
+
+  it('should report validation errors as diagnostics', async () => {
+    const result = await compile('App { Button(text: "Save") }', { filename: 'form.uix' });
+
+    expect(result.code).not.toBeNull();
+    expect(result.diagnostics).toHaveLength(1);
+    expect(result.diagnostics[0]).toMatchObject({
+      severity: 'error',
+      code: 'invalid-prop',
+      file: 'form.uix',
+      component: 'Button',
+      prop: 'onClick'
+    });
+  });
+
+  it('should return a parse error diagnostic and no code for invalid source', async () => {
+    const result = await compile('App { Button(text: ) }');
+
+    expect(result.code).toBeNull();
+    expect(result.diagnostics[0].severity).toBe('error');
+    expect(result.diagnostics[0].code).toBe('parse-error');
+    expect(result.diagnostics[0].loc.start.line).toBe(1);
+  });
+
+  it('should point parse errors at the offending token with the expected tokens and a code frame', async () => {
+    const result = await compile('App {\n  Button(text: )\n}', { filename: 'form.uix' });
+    const [diagnostic] = result.diagnostics;
+
+    expect(diagnostic.loc.start).toMatchObject({ line: 2, column: 16 });
+    expect(diagnostic.expected).toEqual(['expression', '"{"']);
+    expect(diagnostic.found).toBe(')');
+    expect(formatDiagnostic(diagnostic, 'App {\n  Button(text: )\n}')).toBe([
+      'form.uix:2:16 - error [parse-error]: Expected "{" or expression but ")" found.',
+      '',
+      '  1 | App {',
+      '> 2 |   Button(text: )',
+      '    |                ^',
+      '  3 | }',
+      '',
+      'Expected: expression, "{"'
+    ].join('\n'));
+  });
+
+  it('should report every syntax error in a file at once', async () => {
+    const source = [
+      'component Badge(label {',
+      '  Text(text: label)',
+      '}',
+      'component Panel(title) {',
+      '  Title(text: title)',
+      '  Text(text: )',
+      'App {',
+      '  Panel(title: "Hi")',
+      '  Button(text: "Save", onClick: save +)',
+      '}'
+    ].join('\n');
+    const result = await compile(source);
+
+    expect(result.code).toBeNull();
+    expect(result.diagnostics.map(d => [d.code, d.loc.start.line, d.loc.start.column])).toEqual([
+      ['parse-error', 1, 23],
+      ['parse-error', 6, 14],
+      ['parse-error', 7, 1],
+      ['parse-error', 9, 38]
+    ]);
+  });
+
+  it('should return a partial AST that leaves out the broken elements', () => {
+    const { ast, diagnostics } = parse('component Panel(title) {\n  Title(text: title)\n  Card(title: ) {\n    Text(text: "x")\n  }\n}\nApp {\n  Panel(title: "Hi")\n}');
+
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0].loc.start).toMatchObject({ line: 3, column: 15 });
+    expect(ast.components[0].body.map(node => node.type)).toEqual(['Title']);
+    expect(ast.app.body.map(node => node.type)).toEqual(['Panel']);
+  });
+
+  it('should compile state declarations to useState and keep them out of the props', async () => {
+    const source = [
+      'component Counter(start) {',
+      '  state count = start',
+      '  Text(text: count)',
+      '}',
+      'App {',
+      '  state query = ""',
+      '  Input(bind: query)',
+      '  if (query) { Counter(start: 1) }',
+      '  Button(text: "Reset", onClick: reset)',
+      '}'
+    ].join('\n');
+    const result = await compile(source);
+
+    expect(result.diagnostics).toEqual([]);
+    expect(result.code).toContain('function Counter({ start }) {\n  const [count, setCount] = React.useState(start);\n');
+    expect(result.code).toContain('const [query, setQuery] = React.useState("");');
+    expect(result.code.match(/React\.useState/g)).toHaveLength(2);
+    expect(result.code).toContain('<input value={query} onChange={e => setQuery(e.target.value)} />');
+    expect(result.meta.injectedProps).toEqual(['reset']);
+    expect(result.meta.state).toEqual(['query']);
+  });
+
+  it('should compile handler actions that assign state and emit events', async () => {
+    const source = [
+      'component Counter(start) {',
+      '  state count = start',
+      '  Button(text: "+", onClick: { count = count + 1; emit("change", count) })',
+      '  Button(text: "-", onClick: { count -= 1 })',
+      '  Button(text: "Reset", onClick: { count = start })',
+      '}',
+      'App {',
+      '  state query = ""',
+      '  Input(onChange: (e) => query = e.target.value)',
+      '  Counter(start: 0, onChange: (value) => log(value))',
+      '}'
+    ].join('\n');
+    const result = await compile(source);
+
+    expect(result.diagnostics).toEqual([]);
+    expect(result.code).toContain('function Counter({ start, onChange }) {');
+    expect(result.code).toContain('onClick={() => { const nextCount = count + 1; setCount(count => count + 1); onChange?.(nextCount); }}');
+    expect(result.code).toContain('onClick={() => setCount(count => count - 1)}');
+    expect(result.code).toContain('onClick={() => setCount(start)}');
+    expect(result.code).toContain('<input onChange={e => setQuery(e.target.value)} />');
+    expect(result.code).toContain('<Counter start={0} onChange={value => log(value)} />');
+    expect(result.components[0].inferredTypes.onChange).toBe('function');
+    expect(result.meta.injectedProps).toEqual(['log']);
+  });
+
+  it('should update state functionally when later statements of the handler read it', async () => {
+    const source = [
+      'App {',
+      '  state count = 0',
+      '  state total = 0',
+      '  Button(text: "+", onClick: { count += 1; count *= 2; total = total + count; log(count, total) })',
+      '}'
+    ].join('\n');
+    const result = await compile(source);
+
+    expect(result.diagnostics).toEqual([]);
+    expect(result.code).toContain([
+      'onClick={() => {',
+      'const nextCount = count + 1; setCount(count => count + 1);',
+      'const nextCount2 = nextCount * 2; setCount(count => count * 2);',
+      'const nextTotal = total + nextCount2; setTotal(total => total + nextCount2);',
+      'log(nextCount2, nextTotal); }}'
+    ].join(' '));
+  });
+
+  it('should not keep the new value of state that is only assigned again', async () => {
+    const source = [
+      'App {',
+      '  state n = 0',
+      '  Button(text: "a", onClick: {',
+      '    n = 1',
+      '    n = 2',
+      '  })',
+      '  Button(text: "b", onClick: { n += 1; n = n * 2 })',
+      '}'
+    ].join('\n');
+    const result = await compile(source);
+
+    expect(result.diagnostics).toEqual([]);
+    expect(result.code).toContain('onClick={() => { setN(1); setN(2); }}');
+    expect(result.code).toContain('onClick={() => { setN(n => n + 1); setN(n => n * 2); }}');
+  });
+
+  it('should read an empty block as a handler for event props and as an object otherwise', async () => {
+    const result = await compile('App { Button(text: "Go", onClick: {}) Text(text: "x", style: {}) }');
+
+    expect(result.diagnostics).toEqual([]);
+    expect(result.code).toContain('<button onClick={() => {}}>Go</button>');
+    expect(result.code).toContain('<span style={{}}>x</span>');
+  });
+
+  it('should only allow assignments to declared state in handlers', async () => {
+    const result = await compile('component Field(label) { Button(text: label, onClick: { label = "x" }) }');
+
+    expect(result.diagnostics).toHaveLength(1);
+    expect(result.diagnostics[0]).toMatchObject({ severity: 'error', code: 'invalid-assignment' });
+  });
+
+  it('should compile let bindings to consts, memoized values and callbacks', async () => {
+    const source = [
+      'component Profile(user, items) {',
+      '  state count = 0',
+      '  let fullName = user.firstName + " " + user.lastName',
+      '  let done = items.filter(item => item.done)',
+      '  let increment = () => count = count + 1',
+      '  Text(text: fullName)',
+      '  Text(text: done.length)',
+      '  Button(text: "+", onClick: increment)',
+      '}',
+      'App {',
+      '  let total = Math.max(0, orders.length)',
+      '  Text(text: total)',
+      '}'
+    ].join('\n');
+    const result = await compile(source);
+
+    expect(result.diagnostics).toEqual([]);
+    expect(result.code).toContain('  const fullName = user.firstName + " " + user.lastName;');
+    expect(result.code).toContain('  const done = React.useMemo(() => items.filter(item => item.done), [items]);');
+    expect(result.code).toContain('  const increment = React.useCallback(() => setCount(count => count + 1), []);');
+    expect(result.code).toContain('  const total = React.useMemo(() => Math.max(0, orders.length), [orders]);');
+    expect(result.meta.injectedProps).toEqual(['orders']);
+  });
+
+  it('should reject let bindings that read state declared after them', async () => {
+    const source = [
+      'component Counter() {',
+      '  let doubled = count * 2',
+      '  let reset = () => count = 0',
+      '  state count = 0',
+      '  Button(text: doubled, onClick: reset)',
+      '}',
+      'App { Counter() }'
+    ].join('\n');
+    const result = await compile(source);
+
+    // Calling a setter later from a callback is fine; reading the state while rendering is not
+    expect(result.diagnostics.map(d => [d.severity, d.code, d.message, d.loc.start.line])).toEqual([
+      ['error', 'use-before-declaration', "'count' is used before it is declared", 2]
+    ]);
+    expect(result.code).toContain('  const reset = React.useCallback(() => setCount(0), []);');
+    expect(result.meta.injectedProps).toEqual([]);
+  });
+
+  it('should compile effect, onMount and onCleanup blocks to useEffect', async () => {
+    const source = [
+      'component Clock(userId) {',
+      '  state now = 0',
+      '  state user = null',
+      '  effect (userId) {',
+      '    loadUser(userId).then(u => user = u)',
+      '  }',
+      '  onMount {',
+      '    let timer = setInterval(() => now = Date.now(), 1000)',
+      '    onCleanup { clearInterval(timer) }',
+      '  }',
+      '  onCleanup { log("unmounted") }',
+      '  effect { document.title = user?.name ?? "Clock" }',
+      '  Text(text: now)',
+      '}'
+    ].join('\n');
+    const result = await compile(source);
+
+    expect(result.diagnostics.map(d => d.message)).toEqual([
+      "Unknown identifier 'loadUser' in component 'Clock'",
+      "Unknown identifier 'log' in component 'Clock'"
+    ]);
+    expect(result.code).toContain([
+      '  React.useEffect(() => {',
+      '    loadUser(userId).then(u => setUser(u));',
+      '  }, [userId]);',
+      '  React.useEffect(() => {',
+      '    const timer = setInterval(() => setNow(Date.now()), 1000);',
+      '    return () => {',
+      '      clearInterval(timer);',
+      '    };',
+      '  }, []);',
+      '  React.useEffect(() => {',
+      '    return () => {',
+      '      log("unmounted");',
+      '    };',
+      '  }, []);',
+      '  React.useEffect(() => {',
+      '    document.title = user?.name ?? "Clock";',
+      '  });'
+    ].join('\n'));
+  });
+
+  it('should reject onCleanup outside of an effect and mutations of state', async () => {
+    const result = await compile('App { state user = null Button(text: "x", onClick: { onCleanup { reset() }; user.name = "" }) }');
+
+    expect(result.diagnostics.map(d => d.code)).toEqual(['invalid-cleanup', 'invalid-assignment']);
+  });
+
+  it('should map declared parameter types onto schemas and defaults onto destructuring', async () => {
+    const source = [
+      'component Avatar(name: string, age: number = 0, size?: "sm" | "lg", tags: list<string> = [], user: { id: number, email?: string }, onPick: fn) {',
+      '  Text(text: name + age)',
+      '}',
+      'App {',
+      '  Avatar(name: "Ada", user: { id: 1 }, onPick: pick)',
+      '  Avatar(name: 1, user: {}, onPick: pick, size: "md", tags: ["a", 2])',
+      '}'
+    ].join('\n');
+    const result = await compile(source);
+
+    expect(result.code).toContain('function Avatar({ name, age = 0, size, tags = [], user, onPick }) {');
+    expect(result.components[0].inferredTypes).toEqual({
+      name: 'string', age: 'number', size: 'enum', tags: 'array', user: 'object', onPick: 'function'
+    });
+    expect(result.diagnostics.map(d => d.message)).toEqual([
+      'Validation error in Avatar: name must be a string, got number',
+      'Validation error in Avatar: size must be one of: sm, lg',
+      'Validation error in Avatar: tags[1] must be a string, got number',
+      'Validation error in Avatar: user.id is required'
+    ]);
+  });
+
+  it('should let declared types override inference and check defaults against them', async () => {
+    const result = await compile('component Counter(step: string, start: number = "one") { Text(text: step * 2) }');
+
+    expect(result.components[0].inferredTypes).toEqual({ step: 'string', start: 'number' });
+    expect(result.diagnostics).toHaveLength(1);
+    expect(result.diagnostics[0]).toMatchObject({ code: 'invalid-default', prop: 'start' });
+  });
+
+  it('should reject a second definition of a component and keep the first', async () => {
+    const result = await compile('component A() { Text(text: "first") }\ncomponent A() { Text(text: "second") }\nApp { A() }');
+
+    expect(result.diagnostics.map(d => [d.code, d.message, d.loc.start.line])).toEqual([
+      ['duplicate-declaration', "'A' is already defined in this file", 2]
+    ]);
+    expect(result.code.match(/function A\(/g)).toHaveLength(1);
+    expect(result.code).toContain('<span>first</span>');
+    expect(result.components.map(component => component.name)).toEqual(['A']);
+  });
+
+  it('should reject state that redeclares a parameter', async () => {
+    const result = await compile('component Counter(count) { state count = 0 Text(text: count) }');
+
+    expect(result.diagnostics).toHaveLength(1);
+    expect(result.diagnostics[0]).toMatchObject({ severity: 'error', code: 'duplicate-declaration' });
+  });
+
+  it('should reject state that reads state declared after it instead of taking it as a prop', async () => {
+    const result = await compile('App {\n  state total = count * 2\n  state count = 0\n  Text(text: total)\n}');
+
+    expect(result.diagnostics.map(d => [d.severity, d.code, d.message, d.loc.start.line])).toEqual([
+      ['error', 'use-before-declaration', "'count' is used before it is declared", 2]
+    ]);
+    expect(result.meta.injectedProps).toEqual([]);
+    expect(result.code).toContain('export default function CompiledUI() {');
+  });
+
+  it('should compile slots to children and render props with fallback content', async () => {
+    const source = [
+      'component Panel(title: string) {',
+      '  Card {',
+      '    slot header { Title(text: title) }',
+      '    slot',
+      '    slot footer',
+      '  }',
+      '}',
+      'App {',
+      '  Panel(title: "Hi") {',
+      '    slot header { Text(text: "Custom") }',
+      '    Text(text: "Body")',
+      '  }',
+      '}'
+    ].join('\n');
+    const result = await compile(source);
+
+    expect(result.diagnostics).toEqual([]);
+    expect(result.components[0].params).toEqual(['title', 'header', 'children', 'footer']);
+    expect(result.code).toContain('{header ? header() : (\n        <h1>{title}</h1>\n      )}');
+    expect(result.code).toContain('      {children}\n      {footer?.()}');
+    expect(result.code).toContain('<Panel title="Hi" header={() => (\n      <span>Custom</span>\n    )}>\n      <span>Body</span>\n    </Panel>');
+  });
+
+  it('should let a component defined in the file shadow the built-in of the same name', async () => {
+    const source = 'component Card(title) {\n  Title(text: title)\n  slot\n  slot footer\n}\nApp {\n  Card(title: "x") { Text(text: "body") slot footer { Text(text: "f") } }\n}';
+    const result = await compile(source);
+
+    expect(result.diagnostics).toEqual([]);
+    expect(result.code).toContain('function Card({ title, children, footer }) {');
+    expect(result.code).toContain('<Card title="x" footer={() => (');
+    expect(result.code).not.toContain('<div');
+  });
+
+  it('should read a slot name after a comment on the same line, and not after a line break', async () => {
+    const result = await compile('component Panel() {\n  Card {\n    slot /* top */ header\n    slot // rest\n    footer\n  }\n}');
+
+    expect(result.diagnostics).toEqual([]);
+    expect(result.components[0].params).toEqual(['header', 'children']);
+    expect(result.code).toContain('{header?.()}\n      {children}\n      <footer />');
+  });
+
+  it('should warn about children and slot content a component does not render', async () => {
+    const source = 'component Box() { Card { slot header } }\nApp { Box { Text(text: "lost") slot footer { Text(text: "x") } } }';
+    const result = await compile(source);
+
+    expect(result.diagnostics.map(d => d.code)).toEqual(['unused-children', 'unknown-slot']);
+    expect(result.diagnostics[1].message).toBe("Box has no slot named 'footer'");
+  });
+
+  it('should reject slots outside of component definitions', async () => {
+    const result = await compile('App { Card { slot } }');
+
+    expect(result.diagnostics[0]).toMatchObject({ severity: 'error', code: 'invalid-slot' });
+  });
+
+  it('should compile spread props before named props so that named props win', async () => {
+    const result = await compile('declare component Avatar(name: string, size: number)\nApp { for (user in users key user.id) { Avatar(...user, size: 32) } }');
+
+    expect(result.code).toContain('<Avatar {...user} size={32} />');
+    expect(result.diagnostics).toEqual([]);
+  });
+
+  it('should check spreads of known shape against the component schema', async () => {
+    const source = [
+      'component Avatar(name: string, age: number) { Text(text: name + age) }',
+      'component Team(members: list<{ name: string, age: string, email: string }>) {',
+      '  for (member in members key member.email) { Avatar(...member) Avatar(...member, age: 3) }',
+      '  Avatar(...{ name: "Ada" })',
+      '}'
+    ].join('\n');
+    const result = await compile(source);
+
+    expect(result.diagnostics.map(d => [d.code, d.message, d.loc.start.line])).toEqual([
+      ['unknown-prop', "Unknown prop 'email' passed to component 'Avatar' by spreading 'member'", 3],
+      ['invalid-prop', "Validation error in Avatar: age must be number, but 'member.age' is string", 3],
+      ['unknown-prop', "Unknown prop 'email' passed to component 'Avatar' by spreading 'member'", 3],
+      ['invalid-prop', 'Validation error in Avatar: age is required', 4]
+    ]);
+  });
+
+  it('should forward rest parameters to the root element and accept any extra prop', async () => {
+    const source = 'component Fancy(label: string, ...rest) { Button(text: label) }\nApp { Fancy(label: "Go", onClick: go) }';
+    const result = await compile(source);
+
+    expect(result.diagnostics).toEqual([]);
+    expect(result.code).toContain('function Fancy({ label, ...rest }) {');
+    expect(result.code).toContain('<button {...rest}>{label}</button>');
+  });
+
+  it('should leave explicitly spread rest parameters alone and warn when they cannot be forwarded', async () => {
+    const explicit = await compile('component Row(...rest) { Card { Button(text: "x", ...rest) } }');
+    expect(explicit.diagnostics).toEqual([]);
+    expect(explicit.code).toContain('<div>\n      <button {...rest}>x</button>\n    </div>');
+
+    const dropped = await compile('component Pair(...rest) { Text(text: "a") Text(text: "b") }');
+    expect(dropped.diagnostics[0]).toMatchObject({ severity: 'warning', code: 'unused-rest' });
+  });
+
+  it('should emit JavaScript imports and validate declared components', async () => {
+    const source = [
+      'import { DatePicker, Button } from "@acme/ui"',
+      'import { formatMoney } from "../lib/format.js"',
+      '/** Acme date picker */',
+      'declare component DatePicker(value: string, onChange: fn, ...rest)',
+      'App {',
+      '  DatePicker(value: 3, onChange: pick, locale: "en")',
+      '  Text(text: formatMoney(total))',
+      '  Button(label: "Acme")',
+      '  Mystery()',
+      '}'
+    ].join('\n');
+    const result = await compile(source);
+
+    expect(result.code).toContain('import React from "react";\nimport { DatePicker, Button } from "@acme/ui";\nimport { formatMoney } from "../lib/format.js";\n');
+    expect(result.code).toContain('<Button label="Acme" />');
+    expect(result.meta.injectedProps).toEqual(['pick', 'total']);
+    expect(result.diagnostics.map(d => [d.code, d.message])).toEqual([
+      ['invalid-prop', 'Validation error in DatePicker: value must be a string, got number'],
+      ['undefined-component', "Component 'Mystery' is not defined, declared or imported"]
+    ]);
+  });
+
+  it('should emit TypeScript props interfaces from the component schemas', async () => {
+    const source = [
+      'import { formatMoney } from "./format.js"',
+      'export component Tag(label: string, size: "sm" | "lg" = "sm", values: list<string | number> = [], owner?: { id: number, email?: string }, ...rest) {',
+      '  Card { slot header Text(text: label) slot }',
+      '}',
+      'App {',
+      '  state selected = null',
+      '  state picked = []',
+      '  for (tag in tags key tag.id) { Tag(label: tag.name) }',
+      '}'
+    ].join('\n');
+    const result = await compile(source, { enableTypeScript: true });
+
+    expect(result.code).toContain([
+      'import { formatMoney } from "./format.js";',
+      '',
+      'export interface TagProps {',
+      '  label: string;',
+      '  size?: "sm" | "lg";',
+      '  values?: (string | number)[];',
+      '  owner?: { id: number; email?: string };',
+      '  header?: () => React.ReactNode;',
+      '  children?: React.ReactNode;',
+      '  [prop: string]: any;',
+      '}',
+      '',
+      'interface CompiledUIProps {',
+      '  tags: any[];',
+      '}'
+    ].join('\n'));
+    expect(result.code).toContain('export function Tag({ label, size = "sm", values = [], owner, header, children, ...rest }: TagProps) {');
+    expect(result.code).toContain('export default function CompiledUI({ tags }: CompiledUIProps) {');
+    expect(result.code).toContain('const [selected, setSelected] = React.useState<any>(null);');
+    expect(result.code).toContain('const [picked, setPicked] = React.useState<any[]>([]);');
+  });
+
+  it('should let plugins rewrite the AST and output, report diagnostics and register built-ins', async () => {
+    const source = 'component Tagged() { Badge(label: 1) }\nApp {\n  Title(text: "Hi")\n  Tagged()\n}';
+    const badges = {
+      name: 'badges',
+      setup(api) {
+        this.api = api;
+        api.registerComponent('Badge', { tag: 'mark', schema: { label: UIXSchema.string({ required: true }) } });
+      },
+      onAST({ ast }) {
+        const title = ast.app.body.find(node => node.type === 'Title');
+        title.props.className = { type: 'string', value: 'brand' };
+        this.api.report('warning', 'brand-title', 'Titles are branded', { loc: title.loc });
+      }
+    };
+    const banner = { name: 'banner', onOutput: ({ output }) => `// banner\n${output}` };
+    const result = await compile(source, { plugins: [badges, banner] });
+
+    expect(result.code.startsWith('// banner\n')).toBe(true);
+    expect(result.code).toContain('<h1 className="brand">Hi</h1>');
+    expect(result.code).toContain('<mark label={1} />');
+    expect(result.diagnostics.map(d => [d.code, d.plugin ?? null, d.loc?.start.line ?? null])).toEqual([
+      ['brand-title', 'badges', 3],
+      ['invalid-prop', null, 1]
+    ]);
+  });
+
+  it('should report a failing plugin as a warning and keep compiling', async () => {
+    const plugins = [
+      { name: 'broken', onComponent: () => { throw new Error('boom'); } },
+      { onComponent: ({ definition }) => { definition.schema.size = UIXSchema.number({ required: true }); } }
+    ];
+    const result = await compile('component Box() { Text(text: "x") }\nApp { Box() }', { plugins });
+
+    expect(result.code).toContain('<Box />');
+    expect(result.diagnostics.map(d => [d.severity, d.code, d.message])).toEqual([
+      ['warning', 'plugin-error', "Plugin 'broken' failed in 'onComponent': boom"],
+      ['error', 'invalid-prop', 'Validation error in Box: size is required']
+    ]);
+  });
+
+  it('should map generated elements and props back to the .uix source', async () => {
+    const source = 'App {\n  Title(text: greeting)\n}';
+    const result = await compile(source, { filename: 'uix/hello.uix', sourceMap: true });
+
+    expect(result.code).not.toMatch(/[\u0001\u0002]/);
+    expect(result.code).toContain('    <h1>{greeting}</h1>');
+    // CompiledUI (line 4) starts at App (1:1); <h1> (6:4) at Title (2:3) and {greeting} (6:8) at greeting (2:15)
+    expect(result.map).toEqual({
+      version: 3,
+      sources: ['uix/hello.uix'],
+      sourcesContent: [source],
+      names: [],
+      mappings: ';;;AAAA;;IACE,IAAY'
+    });
+
+    const inline = await compile(source, { sourceMap: 'inline' });
+    const [, encoded] = inline.code.match(/\n\/\/# sourceMappingURL=data:application\/json;charset=utf-8;base64,(.+)\n$/);
+    expect(JSON.parse(Buffer.from(encoded, 'base64').toString('utf-8'))).toEqual(inline.map);
+
+    const plain = await compile(source);
+    expect(plain.map).toBeNull();
+    expect(plain.code).toBe(result.code);
+  });
+
+  it('should encode source map mappings as Base64 VLQ', () => {
+    expect(encodeMappings([
+      { line: 0, column: 0, originalLine: 0, originalColumn: 0 },
+      { line: 0, column: 16, originalLine: 2, originalColumn: 4 },
+      { line: 2, column: 4, originalLine: 1, originalColumn: 0 }
+    ])).toBe('AAAA,gBAEI;;IADJ');
+  });
+
+  it('should escape text and attribute values that JSX cannot hold as written', async () => {
+    const source = 'App {\n  Text(text: "Tom & Jerry {x}")\n  Text(text: "<b>", className: "say \\"hi\\"")\n  Text(text: "plain", className: "a\\\\b")\n}';
+    const result = await compile(source);
+
+    expect(result.diagnostics).toEqual([]);
+    expect(result.code).toContain('<span>{"Tom & Jerry {x}"}</span>');
+    expect(result.code).toContain('<span className={"say \\"hi\\""}>{"<b>"}</span>');
+    expect(result.code).toContain('<span className={"a\\\\b"}>plain</span>');
+  });
+
+  it('should print expressions with the parentheses their precedence requires', () => {
+    const [a, b, c, n] = ['a', 'b', 'c', 'n'].map(name => t.identifier(name));
+    const negate = argument => ({ type: 'UnaryExpression', operator: '-', prefix: true, argument });
+    const object = { type: 'ObjectExpression', properties: [] };
+    const { code } = print(t.program([
+      t.expressionStatement(t.logicalExpression('??', a, t.logicalExpression('||', b, c))),
+      t.expressionStatement(t.binaryExpression('*', t.binaryExpression('+', a, b), c)),
+      t.expressionStatement(t.binaryExpression('-', a, t.binaryExpression('-', b, c))),
+      t.expressionStatement(negate(negate(n))),
+      t.expressionStatement(t.callExpression(t.memberExpression(t.conditionalExpression(a, b, c), 'map'), [t.arrowFunction([n], object)])),
+      t.expressionStatement(t.callExpression(t.memberExpression(object, 'valueOf'), []))
+    ]));
+
+    expect(code.split('\n\n')).toEqual([
+      'a ?? (b || c);',
+      '(a + b) * c;',
+      'a - (b - c);',
+      '- -n;',
+      '(a ? b : c).map(n => ({}));',
+      '({}.valueOf());\n'
+    ]);
+  });
+
+  it('should attach source locations to AST nodes and validation diagnostics', async () => {
+    const source = 'App {\n  Button(text: 5, onClick: save)\n}';
+    const ast = jest.requireActual('./parser.js').parse(source);
+    const button = ast.app.body[0];
+
+    expect(button.loc.start).toMatchObject({ line: 2, column: 3 });
+    expect(button.props.text.loc.start).toMatchObject({ line: 2, column: 16 });
+
+    const result = await compile(source);
+    expect(result.diagnostics[0]).toMatchObject({ code: 'invalid-prop', prop: 'text' });
+    expect(result.diagnostics[0].loc.start).toMatchObject({ line: 2, column: 16 });
+  });
+
+  it('should not log to the console', async () => {
+    const logSpy = jest.spyOn(console, 'log');
+    const errorSpy = jest.spyOn(console, 'error');
+    await compile('App { Button(text: "Save") }');
+    expect(logSpy).not.toHaveBeenCalled();
+    expect(errorSpy).not.toHaveBeenCalled();
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  it('should compile arithmetic, comparison, logical, ternary and unary expressions', async () => {
+    const source = 'App { if (!loading && count > 0) { Text(text: count === 1 ? "one" : "many") } Text(text: (total + tax) * 2) }';
+    const result = await compile(source);
+
+    expect(result.code).toContain('{!loading && count > 0 ? (');
+    expect(result.code).toContain('<span>{count === 1 ? "one" : "many"}</span>');
+    expect(result.code).toContain('<span>{(total + tax) * 2}</span>');
+    expect(result.meta.injectedProps).toEqual(['count', 'loading', 'tax', 'total']);
+  });
+
+  it('should compile boolean, null, numeric, array and object literals as values rather than props', async () => {
+    const source = 'App { Button(text: "Go", onClick: go, disabled: true) Input(maxLength: 2.5e1, placeholder: null) Row(style: { color: "red", gap: -4 }) { Text(text: [1, 2].length) } }';
+    const result = await compile(source);
+
+    expect(result.code).toContain('<button onClick={go} disabled={true}>Go</button>');
+    expect(result.code).toContain('<input maxLength={25} placeholder={null} />');
+    expect(result.code).toContain('<div style={{ color: "red", gap: -4 }}>');
+    expect(result.meta.injectedProps).toEqual(['go']);
+    expect(result.diagnostics).toEqual([]);
+  });
+
+  it('should validate literal prop values against the built-in schemas', async () => {
+    const result = await compile('App { Button(text: "Go", onClick: go, disabled: "yes", variant: "huge") Input(minLength: -1) }');
+
+    expect(result.diagnostics.map(d => d.message)).toEqual([
+      'Validation error in Button: disabled must be a boolean, got string',
+      'Validation error in Button: variant must be one of: primary, secondary, danger, success',
+      'Validation error in Input: minLength must be at least 0'
+    ]);
+  });
+
+  it('should compile calls with arguments, computed members and optional chaining', async () => {
+    const source = 'App { Text(text: user.name.slice(0, 1)) Text(text: items[index].label) Text(text: formatDate(user?.joined, { long: true })) Text(text: user?.address?.[field]) }';
+    const result = await compile(source);
+
+    expect(result.code).toContain('<span>{user.name.slice(0, 1)}</span>');
+    expect(result.code).toContain('<span>{items[index].label}</span>');
+    expect(result.code).toContain('<span>{formatDate(user?.joined, { long: true })}</span>');
+    expect(result.code).toContain('<span>{user?.address?.[field]}</span>');
+    // Free variables inside call arguments and brackets are props; member names are not
+    expect(result.meta.injectedProps).toEqual(['field', 'formatDate', 'index', 'items', 'user']);
+  });
+
+  it('should compile else-if and else branches to nested ternaries', async () => {
+    const source = 'App { if (loading) { Text(text: "Loading") } else if (error) { Text(text: error) } else { Text(text: "Ready") } }';
+    const result = await compile(source);
+
+    expect(result.code).toContain('{loading ? (');
+    expect(result.code).toContain(') : error ? (');
+    expect(result.code).toMatch(/\) : \(\n\s*<span>Ready<\/span>\n\s*\)\}/);
+    expect(result.meta.injectedProps).toEqual(['error', 'loading']);
+  });
+
+  it('should parse else branches into the alternate of the If node', () => {
+    const { parse } = jest.requireActual('./parser.js');
+    const ast = parse('App { if (a) { Text(text: "a") } else if (b) { Text(text: "b") } else { Text(text: "c") } }');
+    const ifNode = ast.app.body[0];
+
+    expect(ifNode.type).toBe('If');
+    expect(ifNode.alternate).toHaveLength(1);
+    expect(ifNode.alternate[0].type).toBe('If');
+    expect(ifNode.alternate[0].alternate[0].props.text.value).toBe('c');
+  });
+
+  it('should compile match blocks to a ternary chain with a default branch', async () => {
+    const source = 'App { match (status) { case "loading" { Text(text: "...") } case "error", "timeout" { Text(text: "Failed") } default { Text(text: "Ready") } } }';
+    const result = await compile(source);
+
+    expect(result.code).toContain('{status === "loading" ? (');
+    expect(result.code).toContain(') : (status === "error" || status === "timeout") ? (');
+    expect(result.code).toContain('<span>Ready</span>');
+    expect(result.meta.injectedProps).toEqual(['status']);
+  });
+
+  it('should evaluate a non-trivial match subject only once', async () => {
+    const result = await compile('App { match (load()) { case 1 { Text(text: "one") } } }');
+
+    expect(result.code).toContain('switch (load()) {');
+    expect(result.code).toContain('case 1:');
+  });
+
+  it('should warn when a case value is outside the enum of a schema-typed parameter', async () => {
+    const source = 'component Action(kind, label, onPress) { Button(text: label, onClick: onPress, variant: kind) match (kind) { case "danger" { Text(text: "!") } case "huge" { Text(text: "?") } } }';
+    const result = await compile(source);
+
+    expect(result.diagnostics).toHaveLength(1);
+    expect(result.diagnostics[0]).toMatchObject({ severity: 'warning', code: 'unknown-case' });
+    expect(result.diagnostics[0].message).toContain('"huge"');
+  });
+
+  it('should compile for loops with an index variable, explicit key and empty branch', async () => {
+    const source = 'App { for ((user, i) in users key user.email) { Text(text: i + ". " + user.name) } empty { Text(text: "No users") } }';
+    const result = await compile(source);
+
+    expect(result.code).toContain('{users.length === 0 ? (');
+    expect(result.code).toContain('<span>No users</span>');
+    expect(result.code).toContain(') : users.map((user, i) => (');
+    expect(result.code).toContain('<React.Fragment key={user.email}>');
+    expect(result.meta.injectedProps).toEqual(['users']);
+    expect(result.diagnostics).toEqual([]);
+  });
+
+  it('should warn when objects are rendered in a loop without a key', async () => {
+    const result = await compile('App { for (user in users) { Text(text: user.name) } for (tag in tags) { Text(text: tag) } }');
+
+    expect(result.code).toContain('<React.Fragment key={index}>');
+    expect(result.diagnostics).toHaveLength(1);
+    expect(result.diagnostics[0]).toMatchObject({ severity: 'warning', code: 'missing-key' });
+  });
+
+  it('should count spreading the loop item into props as rendering objects', async () => {
+    const result = await compile('component Avatar(name) { Text(text: name) }\nApp { for (user in users) { Avatar(...user) } }');
+
+    expect(result.diagnostics.map(d => d.code)).toEqual(['missing-key']);
+  });
+
+  it('should parse deeply nested expressions in linear time', () => {
+    // Each level used to be parsed twice when no `?` or assignment operator followed it
+    const depth = 40;
+    const nested = [
+      `${'('.repeat(depth)}x${')'.repeat(depth)}`,
+      `${'f('.repeat(depth)}x${')'.repeat(depth)}`,
+      `${'f(() => '.repeat(depth)}x${')'.repeat(depth)}`
+    ];
+    const started = Date.now();
+    const diagnostics = nested.flatMap(expression => parse(`App { Button(text: ${expression}, onClick: { log(${expression}) }) }`).diagnostics);
+
+    expect(diagnostics).toEqual([]);
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+
+  it('should accept line and block comments wherever whitespace is allowed', async () => {
+    const source = '// header\nApp { /* start */ Button(text: "Save", // label\n onClick: save /* handler */) // end\n}\n// eof';
+    const result = await compile(source);
+
+    expect(result.diagnostics).toEqual([]);
+    expect(result.code).toContain('<button onClick={save}>Save</button>');
+  });
+
+  it('should end handler statements at a line break after a block comment', async () => {
+    const source = 'App {\n  state n = 0\n  Button(text: "Go", onClick: {\n    n = 1 /* reset */\n    save() /* then\n    log */ log(n)\n  })\n}';
+    const result = await compile(source);
+
+    expect(result.diagnostics).toEqual([]);
+    expect(result.code).toContain('onClick={() => { const nextN = 1; setN(nextN); save(); log(nextN); }}');
+  });
+
+  it('should attach doc comments to component definitions and emit them as JSDoc', async () => {
+    const source = '/**\n * Shows a greeting.\n */\ncomponent Greeting(name) { Text(text: name) }';
+    const result = await compile(source);
+
+    expect(result.components[0].doc).toBe('Shows a greeting.');
+    expect(result.code).toContain('/**\n * Shows a greeting.\n */\nfunction Greeting({ name })');
+  });
+});
+
+describe('compileProject', () => {
+  beforeEach(() => {
+    parser.parse.mockImplementation(jest.requireActual('./parser.js').parse);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // Reads from an in-memory map of files, throwing like fs for missing ones
+  const readFrom = files => file => {
+    if (!(file in files)) throw new Error(`ENOENT: ${file}`);
+    return files[file];
+  };
+
+  it('should compile imported files first and validate call sites against their schemas', async () => {
+    const files = {
+      'app/main.uix': 'import { Avatar } from "./ui/avatar.uix"\nApp { Avatar(name: "Ada", size: "big") }',
+      'app/ui/avatar.uix': 'export component Avatar(name: string, size: number = 32) { Text(text: name) }\ncomponent Helper() { Text(text: "x") }'
+    };
+    const result = await compileProject('app/main.uix', { readFile: readFrom(files) });
+
+    expect(result.entry).toBe('app/main.uix');
+    expect(result.modules.map(module => module.file)).toEqual(['app/ui/avatar.uix', 'app/main.uix']);
+
+    const [library, main] = result.modules;
+    expect(library.code).toContain('export function Avatar({ name, size = 32 })');
+    expect(library.code).toContain('\nfunction Helper()');
+    expect(library.code).not.toContain('CompiledUI');
+    expect(main.code).toContain('import { Avatar } from "./ui/avatar";');
+    expect(main.code).toContain('<Avatar name="Ada" size="big" />');
+
+    expect(result.diagnostics).toHaveLength(1);
+    expect(result.diagnostics[0]).toMatchObject({ file: 'app/main.uix', code: 'invalid-prop', prop: 'size' });
+  });
+
+  it('should report import cycles, missing files and names that are not exported', async () => {
+    const files = {
+      'a.uix': 'import { B } from "./b.uix"\nimport { C } from "./c.uix"\nApp { B() }',
+      'b.uix': 'import { A } from "./a.uix"\nexport component B() { Text(text: "b") }\ncomponent Hidden() { Text(text: "h") }',
+      'd.uix': 'import { Hidden } from "./b.uix"\nApp { Hidden() }'
+    };
+    const cyclic = await compileProject('a.uix', { readFile: readFrom(files) });
+
+    expect(cyclic.diagnostics.map(d => [d.file, d.code, d.message])).toEqual([
+      ['b.uix', 'import-cycle', 'Import cycle: a.uix -> b.uix -> a.uix'],
+      ['a.uix', 'unresolved-import', "Cannot find module './c.uix' (resolved to c.uix)"]
+    ]);
+
+    const hidden = await compileProject('d.uix', { readFile: readFrom(files) });
+    expect(hidden.diagnostics.find(d => d.file === 'd.uix')).toMatchObject({
+      code: 'unknown-import',
+      message: "'Hidden' is not exported by './b.uix'"
+    });
+  });
+
+  it('should leave JavaScript imports to the bundler and rewrite their paths on request', async () => {
+    const files = { 'uix/main.uix': 'import { formatMoney } from "../lib/format.js"\nApp { Text(text: formatMoney(1)) }' };
+    const rewriteImport = jest.fn(specifier => specifier.replace('../', '../../'));
+    const compiler = new UIXCompiler({ silent: true });
+    const result = await compiler.compileProject('uix/main.uix', readFrom(files), { rewriteImport });
+
+    expect(result.diagnostics).toEqual([]);
+    expect(rewriteImport).toHaveBeenCalledWith('../lib/format.js', 'uix/main.uix', ['uix/main.uix']);
+    expect(result.modules[0].code).toContain('import { formatMoney } from "../../lib/format.js";');
+  });
+
+  it('should keep the modules of files imported from outside the entry directory inside the output directory', async () => {
+    const files = {
+      'uix/main.uix': 'import { W } from "../shared/w.uix"\nimport { fmt } from "../shared/fmt.js"\nApp { W() }',
+      'shared/w.uix': 'export component W() { Text(text: "w") }'
+    };
+    fs.readFileSync.mockImplementation(readFrom(files));
+    await new UIXCompiler({ silent: true, outputDir: 'out' }).compile('uix/main.uix');
+
+    const written = Object.fromEntries(fs.writeFileSync.mock.calls);
+    expect(Object.keys(written)).toEqual([path.join('out', 'uix-generated', 'shared', 'w.jsx'), path.join('out', 'CompiledUI.jsx')]);
+    expect(written[path.join('out', 'CompiledUI.jsx')]).toContain('import { W } from "./uix-generated/shared/w";');
+    expect(written[path.join('out', 'CompiledUI.jsx')]).toContain('import { fmt } from "../shared/fmt.js";');
+  });
+
+  it('should write imported modules apart from the hand-written ones and report the components of every file', async () => {
+    const files = {
+      'uix/index.uix': 'import { Shell } from "./main.uix"\nApp { Shell() }',
+      'uix/main.uix': 'export component Shell() { Text(text: "s") }'
+    };
+    fs.readFileSync.mockImplementation(readFrom(files));
+    const compiler = new UIXCompiler({ silent: true, outputDir: 'src' });
+    await compiler.compile('uix/index.uix');
+
+    expect(fs.writeFileSync.mock.calls.map(([file]) => file)).toEqual([path.join('src', 'uix-generated', 'main.jsx'), path.join('src', 'CompiledUI.jsx')]);
+    expect(compiler.generateReport().customComponents).toEqual(['Shell']);
+  });
+
+  it('should name the source in inline and external source maps relative to the generated module', async () => {
+    const files = { 'uix/app/main.uix': 'App { Text(text: "hi") }' };
+    fs.readFileSync.mockImplementation(readFrom(files));
+    const sourcesOf = async sourceMap => {
+      fs.writeFileSync.mockClear();
+      await new UIXCompiler({ silent: true, outputDir: 'src', sourceMap }).compile('uix/app/main.uix');
+      const written = Object.fromEntries(fs.writeFileSync.mock.calls);
+      const code = written[path.join('src', 'CompiledUI.jsx')];
+      const map = sourceMap === 'inline'
+        ? Buffer.from(code.match(/base64,(.+)\n$/)[1], 'base64').toString()
+        : written[path.join('src', 'CompiledUI.jsx.map')];
+      return JSON.parse(map).sources;
+    };
+
+    await expect(sourcesOf('inline')).resolves.toEqual(['../uix/app/main.uix']);
+    await expect(sourcesOf(true)).resolves.toEqual(['../uix/app/main.uix']);
+  });
+
+  it('should create the output directory before writing the entry module', async () => {
+    fs.readFileSync.mockImplementation(readFrom({ 'main.uix': 'App { Text(text: "hi") }' }));
+    await new UIXCompiler({ silent: true, outputDir: 'out/ui' }).compile('main.uix');
+
+    expect(fs.mkdirSync).toHaveBeenCalledWith(path.join('out', 'ui'), { recursive: true });
+    expect(fs.mkdirSync.mock.invocationCallOrder[0]).toBeLessThan(fs.writeFileSync.mock.invocationCallOrder[0]);
+  });
+
+  it('should document the components of every file with props tables and usage examples', async () => {
+    const files = {
+      'main.uix': 'import { Panel } from "./panel.uix"\nApp {\n  Panel(title: "Hello", size: "lg") {\n    Tag(label: "new")\n  }\n}',
+      'panel.uix': [
+        '/**',
+        ' * A titled panel.',
+        ' */',
+        'export component Panel(title: string, size: "sm" | "lg" = "sm", ...rest) {',
+        '  Card(title: title) {',
+        '    slot',
+        '    Button(text: "Close", onClick: () => emit("close"))',
+        '  }',
+        '}'
+      ].join('\n')
+    };
+    const compiler = new UIXCompiler({
+      silent: true,
+      customSchemas: { Tag: { label: UIXSchema.string({ required: true, minLength: 2, maxLength: 12 }) } }
+    });
+    await compiler.compileProject('main.uix', readFrom(files));
+    const docs = compiler.generateDocumentation();
+
+    expect(docs).toContain('### Tag');
+    expect(docs).toContain('| `label` | `string` | yes |  | at least 2 characters; at most 12 characters |');
+    expect(docs).toContain('| `type` | `"button" \\| "submit" \\| "reset"` | no | `"button"` | one of `"button"`, `"submit"`, `"reset"` |');
+
+    const panel = docs.slice(docs.indexOf('### Panel'));
+    expect(panel).toContain('A titled panel.');
+    expect(panel).toContain('Defined in `panel.uix` and exported.');
+    expect(panel).toContain('| `title` | `string` | yes |  |  |');
+    expect(panel).toContain('| `size` | `"sm" \\| "lg"` | no | `"sm"` | one of `"sm"`, `"lg"` |');
+    expect(panel).toContain('| `onClose` | `fn` | no |  | called by `emit("close")` |');
+    expect(panel).toContain('| `children` | `any` | no |  | content of `slot` |');
+    expect(panel).toContain('Any other prop is accepted and collected in `...rest`.');
+    expect(panel).toContain('Usage, from `main.uix:3`:\n\n```uix\nPanel(title: "Hello", size: "lg") {\n  Tag(label: "new")\n}\n```');
+  });
+
+  it('should take usage examples from call sites that validate, or build them from the schema', async () => {
+    const files = {
+      'main.uix': [
+        'component Avatar(name: string, size: "sm" | "lg" = "sm") { Text(text: name) }',
+        'component Badge(label: string, count: number, onOpen: fn) { Text(text: label) }',
+        'App {',
+        '  Avatar(name: 1)',
+        '  Avatar(name: "Ada")',
+        '  Badge(label: 2, count: 1, onOpen: () => {})',
+        '}'
+      ].join('\n')
+    };
+    const compiler = new UIXCompiler({ silent: true });
+    await compiler.compileProject('main.uix', readFrom(files));
+    const docs = compiler.generateDocumentation();
+
+    expect(docs).toContain('Usage, from `main.uix:5`:\n\n```uix\nAvatar(name: "Ada")\n```');
+    expect(docs).toContain('Usage:\n\n```uix\nBadge(label: "label", count: 0, onOpen: () => {})\n```');
+  });
+
+  it('should document each definition with its own call sites, whatever its name', async () => {
+    const files = {
+      'main.uix': 'import { Card } from "./card.uix"\ncomponent Helper(x: number) { Text(text: "m") }\nApp {\n  Card(heading: "Hi")\n  Helper(x: 1)\n}',
+      'card.uix': 'export component Card(heading: string) { Helper() }\ncomponent Helper() { Text(text: "c") }'
+    };
+    const compiler = new UIXCompiler({ silent: true });
+    await compiler.compileProject('main.uix', readFrom(files));
+    const docs = compiler.generateDocumentation();
+    const section = (heading, from = 0) => {
+      const start = docs.indexOf(heading, from);
+      const end = docs.indexOf('\n### ', start + 1);
+      return docs.slice(start, end === -1 ? undefined : end);
+    };
+    const custom = docs.indexOf('## Custom Components');
+
+    expect(section('### Card')).toContain('Usage:\n\n```uix\nCard()\n```');
+    expect(section('### Button')).toContain('Usage:\n\n```uix\nButton(text: "text", onClick: () => {})\n```');
+    expect(section('### Card', custom)).toContain('Usage, from `main.uix:4`:\n\n```uix\nCard(heading: "Hi")\n```');
+    expect(section('### Helper', custom)).toContain('Defined in `card.uix`.');
+    expect(section('### Helper', custom)).toContain('Usage, from `card.uix:1`:');
+    expect(docs.slice(custom).match(/### Helper/g)).toHaveLength(2);
+    expect(section('### Helper', docs.lastIndexOf('### Helper'))).toContain('Usage, from `main.uix:5`:');
+  });
+
+  it('should resolve import paths relative to the importing file', () => {
+    expect(resolveImportPath('uix/pages/home.uix', '../shared/card.uix')).toBe('uix/shared/card.uix');
+    expect(resolveImportPath('home.uix', './card.uix')).toBe('card.uix');
+    expect(resolveImportPath('C:\\src\\home.uix', './card.uix')).toBe('C:/src/card.uix');
+  });
+});
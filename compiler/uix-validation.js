@@ -5,11 +5,12 @@
  * Custom validation error class for UIX components
  */
 export class UIXValidationError extends Error {
-  constructor(message, field = null, value = null) {
+  constructor(message, field = null, value = null, loc = null) {
     super(message);
     this.name = 'UIXValidationError';
     this.field = field;
     this.value = value;
+    this.loc = loc; // Source location of the offending prop, when known
     this.timestamp = new Date().toISOString();
   }
 }
@@ -2,36 +2,23 @@
 import React from "react";
 
 // Avatar expects props: name, age
-
-// Runtime validation helpers
-const validateProps = (componentName, props) => {
-  // This could be expanded to include runtime validation
-  // For now, we rely on compile-time validation
-  return props;
-};
-
-
-function Avatar({ name, age }) {
+/**
+ * Shows a user's name and age.
+ */
+function Avatar({ name, age = 0 }) {
   return (
-    <>
-    <div>
-      <span>
-{name + " is " + age + " years old"}
-      </span>
-    </div>
-    </>
+    <span>{name + " is " + age + " years old"}</span>
   );
 }
 
 export default function CompiledUI({ users }) {
-
   return (
     <>
-    {users.map((user, index) => (
-      <React.Fragment key={typeof user === 'object' && user !== null && 'id' in user ? user.id : index}>
-      <Avatar name={user.name} age={user.age} />
-      </React.Fragment>
-  ))}
+      {users.map(user => (
+        <React.Fragment key={user.name}>
+          <Avatar {...user} />
+        </React.Fragment>
+      ))}
     </>
   );
 }